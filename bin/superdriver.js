@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+//
+//  Superdriver command line interface
+//  ----------------------------------
+//
+//  superdriver lint <oas> <profile> [--profile-id <id>] [--format text|json]
+//  superdriver generate <profile> [--profile-id <id>] [--name <class>] [--out <file>]
+//  superdriver find <profile> [--registry <url>] [--tag <tag>] [--format table|json]
+//  superdriver register --service-url <url> --mapping-url <url> --profile <id> [--registry <url>]
+//  superdriver unregister <location> [--registry <url>]
+//  superdriver perform <profile> <operation> [--param <name=value>] [--response <field>] [--service <url>] [--mapping <oas>]
+//  superdriver explain <profile> <operation> [--param <name=value>] [--service <url>] [--mapping <oas>]
+//  superdriver operations <oas> [--profile-id <id>] [--format table|json]
+//
+//  Credentials are taken from the options or the environment, see USAGE.
+//
+const fs = require('fs');
+const fetch = require('isomorphic-fetch');
+
+// The command runs the built package (dist), a checkout or a linked package has to be built first
+try {
+  require.resolve('..');
+}
+catch (e) {
+  console.error('superdriver is not built, run `yarn build` in its directory first');
+  process.exit(1);
+}
+
+const {
+  lintMapping,
+  generateClient,
+  loadSpecification,
+  Profile,
+  Register,
+  Consumer,
+  Client
+} = require('..');
+
+const USAGE = `Usage: superdriver <command> [options]
+
+Commands:
+  lint <oas> <profile>              Check the mapping (OAS file, URL or YAML) against the ALPS profile (file or URL)
+  generate <profile>                Generate the TypeScript client of the ALPS profile (file or URL)
+  find <profile>                    List the services of the profile in the registry
+  register                          Register a service in the registry
+  unregister <location>             Remove the service at the location (path or URL) from the registry
+  perform <profile> <operation>     Perform the operation and print the response
+  explain <profile> <operation>     Print the HTTP request perform would send, without sending it
+  operations <oas>                  List the profile affordances the mapping (OAS file or URL) implements
+
+Options:
+  --profile-id <id>                 Profile identifier, by default taken from the mapping or the profile URL
+  --name <class>                    Class name of the generated client, or name of the registered service
+  --out <file>                      Write the generated client to the file instead of the standard output
+  --format <format>                 Output format, text (default, a table for lists) or json
+  --registry <url>                  Registry URL, defaults to $SUPERDRIVER_REGISTRY
+  --tag <tag>                       Only services with the tag, can be repeated
+  --service-url <url>               URL of the registered service
+  --mapping-url <url>               URL of the mapping of the registered service
+  --profile <id>                    Profile the registered service implements
+  --description <text>              Description of the registered service
+  --service-version <version>       Version of the registered service
+  --service <url>                   Provider URL, the provider is found in the registry when not given
+  --mapping <oas>                   Mapping (OAS file or URL) used instead of the provider's
+  --param <name=value>              Input parameter, JSON values are parsed, can be repeated
+  --response <field>                Response field to print, can be repeated
+  --help                            Show this help
+  --version                         Show the version of superdriver
+
+Credentials:
+  --registry-token <token>          Registry bearer token, defaults to $SUPERDRIVER_REGISTRY_TOKEN
+  --registry-api-key <key>          Registry API key, defaults to $SUPERDRIVER_REGISTRY_API_KEY
+  --token <token>                   Provider bearer token, defaults to $SUPERDRIVER_TOKEN
+  --api-key <key>                   Provider API key, defaults to $SUPERDRIVER_API_KEY
+  --api-secret <secret>             Provider API key secret, defaults to $SUPERDRIVER_API_SECRET
+  --user <user>                     Provider basic authentication user, defaults to $SUPERDRIVER_USER
+  --password <password>             Provider basic authentication password, defaults to $SUPERDRIVER_PASSWORD
+`;
+
+// Options taking a value, other options are flags
+const VALUE_OPTIONS = [
+  'profile-id', 'name', 'out', 'format', 'registry', 'tag', 'service-url', 'mapping-url', 'profile', 'description',
+  'service-version', 'service', 'mapping', 'param', 'response', 'registry-token', 'registry-api-key', 'token',
+  'api-key', 'api-secret', 'user', 'password'
+];
+const FLAG_OPTIONS = ['help', 'version'];
+
+/**
+ * Split the command line to positional arguments and options
+ *
+ * @param {Array<String>} argv Command line arguments
+ */
+function parseArguments(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument.startsWith('--')) {
+      const separator = argument.indexOf('=');
+      const name = (separator > 0) ? argument.slice(2, separator) : argument.slice(2);
+      const key = name.replace(/-([a-z])/g, (m, letter) => letter.toUpperCase());
+      let value;
+      if (FLAG_OPTIONS.includes(name)) {
+        value = true;
+      } else if (!VALUE_OPTIONS.includes(name)) {
+        throw new UsageError(`unknown option '--${name}'`);
+      } else if (separator > 0) {
+        value = argument.slice(separator + 1);
+      } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+        value = argv[++i];
+      } else {
+        throw new UsageError(`option '--${name}' requires a value`);
+      }
+      // Repeated options are collected, see optionList()
+      options[key] = (key in options) ? [].concat(options[key], value) : value;
+    } else {
+      positional.push(argument);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Read the document from a file or URL
+ *
+ * @param {String} location File path or URL
+ */
+async function readDocument(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const response = await fetch(location, { headers: { 'Accept': 'application/alps+json, application/json, application/xml' } });
+    if (!response.ok) {
+      throw new Error(`fetching ${location} failed with HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  return fs.readFileSync(location, 'utf8');
+}
+
+/**
+ * Values of an option that can be repeated
+ *
+ * @param {any} value Option value, array of the values when repeated
+ */
+function optionList(value) {
+  return (value === undefined) ? [] : [].concat(value);
+}
+
+/**
+ * Input parameters of the `--param name=value` options, JSON values are parsed
+ *
+ * @param {Object} options Command line options
+ */
+function parseParameters(options) {
+  const parameters = {};
+  for (const param of optionList(options.param)) {
+    const separator = String(param).indexOf('=');
+    if (separator <= 0) {
+      throw new UsageError(`invalid parameter '${param}', expected name=value`);
+    }
+    const value = param.slice(separator + 1);
+    try {
+      parameters[param.slice(0, separator)] = JSON.parse(value);
+    }
+    catch (e) {
+      parameters[param.slice(0, separator)] = value;
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Register of the `--registry` option or the SUPERDRIVER_REGISTRY environment variable
+ *
+ * @param {Object} options Command line options
+ */
+function registerOf(options) {
+  const url = options.registry || process.env.SUPERDRIVER_REGISTRY;
+  if (!url) {
+    throw new UsageError('the registry URL is required, use --registry or SUPERDRIVER_REGISTRY');
+  }
+
+  const token = options.registryToken || process.env.SUPERDRIVER_REGISTRY_TOKEN;
+  const key = options.registryApiKey || process.env.SUPERDRIVER_REGISTRY_API_KEY;
+  let authentication = null;
+  if (token) {
+    authentication = { bearer: { token } };
+  } else if (key) {
+    authentication = { apikey: { key } };
+  }
+  return new Register(url.replace(/\/$/, ''), { authentication });
+}
+
+/**
+ * Provider credentials of the options or the environment, see security.js
+ *
+ * @param {Object} options Command line options
+ */
+function credentialsOf(options) {
+  const token = options.token || process.env.SUPERDRIVER_TOKEN;
+  const key = options.apiKey || process.env.SUPERDRIVER_API_KEY;
+  const secret = options.apiSecret || process.env.SUPERDRIVER_API_SECRET;
+  const user = options.user || process.env.SUPERDRIVER_USER;
+  const password = options.password || process.env.SUPERDRIVER_PASSWORD;
+
+  const credentials = {};
+  if (token) credentials.bearer = { token };
+  if (key) credentials.apikey = { key, secret };
+  if (user) credentials.basic = { user, password };
+  return Object.keys(credentials).length ? credentials : undefined;
+}
+
+/**
+ * Consumer of the `--service` and `--mapping` options
+ *
+ * @param {String} profileId Profile identifier
+ * @param {Object} options Command line options
+ */
+function consumerOf(profileId, options) {
+  if (!options.service && !options.mapping) {
+    return null;
+  }
+
+  const service = { url: options.service || '', profileId, authentication: credentialsOf(options) };
+  if (/^https?:\/\//i.test(options.mapping || '')) {
+    service.mappingUrl = options.mapping;
+  } else if (options.mapping) {
+    service.mapping = options.mapping;
+  }
+  return new Consumer(service);
+}
+
+/**
+ * Print the rows as a table or JSON
+ *
+ * @param {Array<Object>} rows Rows to print
+ * @param {Array<String>} columns Properties printed as the table columns
+ * @param {Object} options Command line options
+ */
+function printRows(rows, columns, options) {
+  if (options.format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  const cell = (value) => (value === undefined || value === null) ? '-' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+  const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  rows.forEach(row => console.log(line(columns.map(column => cell(row[column])))));
+}
+
+const commands = {
+  async lint([oas, profile], options) {
+    if (!oas || !profile) {
+      throw new UsageError('lint requires the OAS and the profile');
+    }
+
+    const result = await lintMapping(oas, await readDocument(profile), { profileId: options.profileId });
+    if (options.format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      for (const issue of result.issues) {
+        console.log(`${issue.severity.padEnd(7)} ${issue.code.padEnd(24)} ${issue.pointer || '-'}  ${issue.message}`);
+      }
+      console.log(`\n${result.errors} error(s), ${result.warnings} warning(s)`);
+    }
+    return result.valid ? 0 : 1;
+  },
+
+  async generate([location], options) {
+    if (!location) {
+      throw new UsageError('generate requires the profile');
+    }
+
+    const profileId = options.profileId || (/^https?:\/\//i.test(location) ? location : null);
+    if (!profileId) {
+      throw new UsageError('generate requires --profile-id for profile files');
+    }
+
+    const profile = new Profile(profileId, await readDocument(location));
+    const source = generateClient(profile, { name: options.name });
+    if (options.out) {
+      fs.writeFileSync(options.out, source);
+    } else {
+      process.stdout.write(source);
+    }
+    return 0;
+  },
+
+  async find([profileId], options) {
+    if (!profileId) {
+      throw new UsageError('find requires the profile');
+    }
+
+    const services = await registerOf(options).findServices(profileId, { tags: optionList(options.tag) });
+    const rows = services.map(service => Object.assign({
+      serviceUrl: service.serviceUrl || service.serviceURL || service.url
+    }, service));
+    printRows(rows, ['name', 'serviceUrl', 'mappingUrl', 'version'], options);
+    return 0;
+  },
+
+  async register(args, options) {
+    if (!options.serviceUrl || !options.profile) {
+      throw new UsageError('register requires --service-url and --profile');
+    }
+
+    const { result, service, location } = await registerOf(options).registerService({
+      serviceUrl: options.serviceUrl,
+      mappingUrl: options.mappingUrl,
+      semanticProfile: options.profile,
+      name: options.name,
+      description: options.description,
+      version: options.serviceVersion,
+      tags: options.tag && optionList(options.tag)
+    });
+    printRows([Object.assign({ result, location }, service)], ['result', 'location', 'serviceUrl', 'semanticProfile'], options);
+    return 0;
+  },
+
+  async unregister([location], options) {
+    if (!location) {
+      throw new UsageError('unregister requires the location of the service');
+    }
+
+    await registerOf(options).unregisterService({ serviceUrl: location });
+    console.log(`unregistered ${location}`);
+    return 0;
+  },
+
+  async perform([profileId, operation], options) {
+    if (!profileId || !operation) {
+      throw new UsageError('perform requires the profile and the operation');
+    }
+
+    const request = { operation, parameters: parseParameters(options), response: optionList(options.response) };
+    const consumer = consumerOf(profileId, options);
+    let response;
+    if (consumer) {
+      response = await consumer.perform(request);
+    } else {
+      const client = new Client({ profileId, register: registerOf(options) }, {
+        authentication: () => credentialsOf(options)
+      });
+      response = (await client.perform(request)).response;
+    }
+
+    if (options.format === 'table' && response && !Array.isArray(response)) {
+      printRows(Object.keys(response).map(field => ({ field, value: response[field] })), ['field', 'value'], options);
+    } else {
+      console.log(JSON.stringify(response, null, 2));
+    }
+    return 0;
+  },
+
+  async explain([profileId, operation], options) {
+    if (!profileId || !operation) {
+      throw new UsageError('explain requires the profile and the operation');
+    }
+
+    let consumer = consumerOf(profileId, options);
+    if (!consumer) {
+      // The first service of the registry
+      const [service] = await registerOf(options).findServices(profileId);
+      consumer = new Consumer({
+        url: service.serviceUrl || service.serviceURL || service.url,
+        mappingUrl: service.mappingUrl,
+        profileId,
+        authentication: credentialsOf(options)
+      });
+    }
+
+    const request = await consumer.explain({ operation, parameters: parseParameters(options), response: optionList(options.response) });
+    if (options.format === 'json') {
+      console.log(JSON.stringify(request, null, 2));
+    } else {
+      console.log(`${request.method} ${request.url}`);
+      for (const name in request.headers) {
+        console.log(`${name}: ${request.headers[name]}`);
+      }
+      if (request.security.length) {
+        console.log(`# credentials of ${request.security.join(', ')} are added when sent`);
+      }
+      if (request.body) {
+        console.log(`\n${request.body}`);
+      }
+    }
+    return 0;
+  },
+
+  async operations([location], options) {
+    if (!location) {
+      throw new UsageError('operations requires the mapping');
+    }
+
+    const source = /^https?:\/\//i.test(location) ? await readDocument(location) : location;
+    const specification = await loadSpecification(source, { basePath: location });
+    const rows = [];
+    for (const path in specification.paths || {}) {
+      for (const method in specification.paths[path]) {
+        const operation = specification.paths[path][method];
+        const affordance = operation && operation['x-profile'];
+        if (!affordance) continue;
+
+        const [profileId, affordanceId] = affordance.split('#');
+        if (options.profileId && profileId !== options.profileId) continue;
+        rows.push({ operation: affordanceId, method: method.toUpperCase(), path, profile: profileId });
+      }
+    }
+    printRows(rows, ['operation', 'method', 'path', 'profile'], options);
+    return 0;
+  }
+};
+
+class UsageError extends Error {}
+
+async function main(argv) {
+  const { positional, options } = parseArguments(argv);
+  const [command, ...args] = positional;
+  if (options.version) {
+    console.log(require('../package.json').version);
+    return 0;
+  }
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!(command in commands)) {
+    throw new UsageError(`unknown command '${command}'`);
+  }
+  return commands[command](args, options);
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(e => {
+    console.error(`superdriver: ${e.message}`);
+    // Status 2 for the wrong usage, 1 for the failures
+    if (e instanceof UsageError) {
+      console.error(USAGE);
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  });
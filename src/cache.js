@@ -0,0 +1,382 @@
+//
+//  HTTP caching of API specifications and responses
+//  ------------------------------------------------
+//
+//  HttpCache wraps fetch with the HTTP caching semantics: fresh responses are served from the cache,
+//  stale ones are revalidated with `If-None-Match` / `If-Modified-Since`. The storage is pluggable,
+//  any object with async `get`, `set`, `delete`, `keys` and `clear` methods can be used:
+//
+//  - MemoryCache keeps the entries in memory, the least recently used ones are evicted
+//  - FileCache keeps the entries as JSON files in a directory (Node.js only)
+//
+//  One cache can be shared by many consumers. Responses are keyed by the URL and all the request headers, so responses
+//  obtained with different credentials (Authorization, Cookie, API key headers) are kept apart and the headers named by
+//  the response's Vary are always matched. Responses with `Vary: *` and `Cache-Control: private` are not stored
+//  unless the cache is declared private to one consumer.
+//
+import Debug from 'debug';
+
+const debug = Debug('superdriver:cache');
+
+const CACHEABLE_STATUSES = [200, 203];
+
+// Request headers of the revalidation, they are not part of the cache key
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+export class MemoryCache {
+  /**
+   * In-memory cache storage with least recently used eviction
+   *
+   * @param {Object} options
+   * @param {Number} options.maxEntries Maximum number of entries kept, defaults to 100
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    // Move the entry to the end, the map keeps the insertion order
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+export class FileCache {
+  /**
+   * File system cache storage for Node.js, entries are stored as JSON files
+   *
+   * @param {Object} options
+   * @param {String} options.directory Directory of the cache files, created when missing
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+  }
+
+  async fs() {
+    if (!this.files) {
+      const fs = await import('fs');
+      this.files = fs.promises || fs.default.promises;
+      await this.files.mkdir(this.directory, { recursive: true });
+    }
+    return this.files;
+  }
+
+  path(key) {
+    return `${this.directory}/${hash(key)}.json`;
+  }
+
+  async get(key) {
+    const files = await this.fs();
+    try {
+      const entry = JSON.parse(await files.readFile(this.path(key), 'utf8'));
+      return (entry.key === key) ? entry.value : undefined;
+    }
+    catch (e) {
+      return undefined;
+    }
+  }
+
+  async set(key, value) {
+    const files = await this.fs();
+    await files.writeFile(this.path(key), JSON.stringify({ key, value }), 'utf8');
+  }
+
+  async delete(key) {
+    const files = await this.fs();
+    try {
+      await files.unlink(this.path(key));
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  async keys() {
+    const files = await this.fs();
+    const keys = [];
+    for (const name of await files.readdir(this.directory)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        keys.push(JSON.parse(await files.readFile(`${this.directory}/${name}`, 'utf8')).key);
+      }
+      catch (e) {
+        debug(`unreadable cache file ${name}`);
+      }
+    }
+    return keys;
+  }
+
+  async clear() {
+    for (const key of await this.keys()) {
+      await this.delete(key);
+    }
+  }
+}
+
+const DEFAULT_OPTIONS = {
+  ttl: 0,
+  maxTtl: Infinity,
+  shared: true
+}
+
+export class HttpCache {
+  /**
+   * Cache of GET responses following the HTTP caching semantics
+   *
+   * @param {Object} store Cache storage, MemoryCache by default
+   * @param {Object} options
+   * @param {Number} options.ttl Time in milliseconds responses without freshness information are fresh for, defaults to 0
+   * @param {Number} options.maxTtl Maximum time in milliseconds a response is fresh for, defaults to no limit
+   * @param {Boolean} options.shared The cache is shared by consumers, `Cache-Control: private` responses are not stored, defaults to true
+   */
+  constructor(store, options) {
+    this.store = store || new MemoryCache();
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+  }
+
+  /**
+   * Fetch through the cache
+   *
+   * @param {Function} fetch Implementation of fetch used to reach the network
+   * @param {String} url Request URL
+   * @param {Object} init Fetch options, headers as a plain object
+   * @returns {Promise<Response>} The network response or a response-like object built from the cache
+   */
+  async fetch(fetch, url, init = {}) {
+    const method = (init.method || 'get').toLowerCase();
+    if (method !== 'get') {
+      const response = await fetch(url, init);
+      if (response.ok && method !== 'head' && method !== 'options') {
+        // Unsafe methods change the resource, the cached representations are outdated
+        await this.invalidate(url);
+      }
+      return response;
+    }
+
+    const headers = lowerCaseKeys(init.headers);
+    const key = cacheKey(url, headers);
+    const entry = await this.store.get(key);
+    if (entry && entry.expires > Date.now() && !entry.noCache) {
+      debug(`fresh ${url}`);
+      return cachedResponse(entry);
+    }
+
+    // Revalidate the stale entry
+    const conditional = Object.assign({}, init);
+    if (entry && (entry.etag || entry.lastModified)) {
+      conditional.headers = Object.assign({}, init.headers);
+      if (entry.etag) conditional.headers['If-None-Match'] = entry.etag;
+      if (entry.lastModified) conditional.headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    const response = await fetch(url, conditional);
+    if (response.status === 304 && entry) {
+      debug(`revalidated ${url}`);
+      const updated = Object.assign({}, entry, {
+        headers: Object.assign({}, entry.headers, responseHeaders(response))
+      });
+      await this.store.set(key, freshness(updated, this.options));
+      return cachedResponse(updated);
+    }
+
+    const cacheControl = parseCacheControl(response.headers && response.headers.get('cache-control'));
+    const vary = (response.headers && response.headers.get('vary')) || '';
+    if (!CACHEABLE_STATUSES.includes(response.status) || ('no-store' in cacheControl) ||
+      (this.options.shared && ('private' in cacheControl)) || vary.split(',').some(name => name.trim() === '*')) {
+      if (entry) {
+        await this.store.delete(key);
+      }
+      return response;
+    }
+
+    const stored = freshness({
+      url,
+      status: response.status,
+      headers: responseHeaders(response),
+      body: await response.text()
+    }, this.options);
+    debug(`storing ${url}`);
+    await this.store.set(key, stored);
+    return cachedResponse(stored);
+  }
+
+  /**
+   * Remove the cached responses of the URL and all URLs it is a prefix of
+   *
+   * @param {String} url URL or URL prefix, e.g. the provider URL
+   */
+  async invalidate(url) {
+    for (const key of await this.store.keys()) {
+      if (key.startsWith(url)) {
+        debug(`invalidating ${key.split(' ')[0]}`);
+        await this.store.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove all cached responses
+   */
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+/**
+ * Cache key of the request, the URL followed by a fingerprint of the request headers
+ *
+ * All the headers are used, the credentials applied by any security scheme and the headers the response varies on
+ * are among them.
+ *
+ * @param {String} url Request URL
+ * @param {Object} headers Request headers with lower-cased names
+ */
+function cacheKey(url, headers) {
+  const fingerprint = Object.keys(headers)
+    .filter(name => !CONDITIONAL_HEADERS.includes(name))
+    .sort()
+    .map(name => `${name}:${headers[name]}`)
+    .join('\n');
+  return `${url} ${hash(fingerprint)}`;
+}
+
+/**
+ * Set the expiration of the entry from its Cache-Control, Expires and Date headers
+ *
+ * @param {Object} entry Cache entry
+ * @param {Object} options HttpCache options
+ */
+function freshness(entry, options) {
+  const headers = entry.headers;
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  const now = Date.now();
+
+  let ttl = options.ttl;
+  if ('max-age' in cacheControl) {
+    const age = Number(headers['age']) || 0;
+    ttl = (Number(cacheControl['max-age']) - age) * 1000;
+  }
+  else if (headers['expires']) {
+    const expires = Date.parse(headers['expires']);
+    const date = Date.parse(headers['date']) || now;
+    ttl = isNaN(expires) ? 0 : expires - date;
+  }
+
+  return Object.assign({}, entry, {
+    etag: headers['etag'],
+    lastModified: headers['last-modified'],
+    noCache: ('no-cache' in cacheControl),
+    expires: now + Math.min(Math.max(ttl, 0), options.maxTtl)
+  });
+}
+
+/**
+ * Parse the Cache-Control header
+ *
+ * @param {String} value Header value
+ * @returns {Object} Directive values keyed by lower-cased directive name, `true` for directives without value
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  for (const directive of (value || '').split(',')) {
+    const [name, argument] = directive.split('=');
+    if (name.trim()) {
+      directives[name.trim().toLowerCase()] = argument ? argument.trim().replace(/^"|"$/g, '') : true;
+    }
+  }
+  return directives;
+}
+
+/**
+ * Response-like object of the cache entry
+ *
+ * @param {Object} entry Cache entry
+ */
+function cachedResponse(entry) {
+  const headers = entry.headers;
+  return {
+    ok: true,
+    status: entry.status,
+    url: entry.url,
+    body: entry.body,
+    headers: {
+      get: (name) => (name.toLowerCase() in headers) ? headers[name.toLowerCase()] : null,
+      has: (name) => name.toLowerCase() in headers,
+      forEach: (callback) => Object.keys(headers).forEach(name => callback(headers[name], name))
+    },
+    text: async () => entry.body,
+    json: async () => JSON.parse(entry.body)
+  };
+}
+
+/**
+ * Headers of the fetch response as a plain object
+ *
+ * @param {Response} response
+ */
+function responseHeaders(response) {
+  const headers = {};
+  if (response.headers && typeof response.headers.forEach === 'function') {
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+  }
+  return headers;
+}
+
+/**
+ * Copy of the headers with lower-cased names
+ *
+ * @param {Object} headers
+ */
+function lowerCaseKeys(headers = {}) {
+  const result = {};
+  for (const name in headers) {
+    result[name.toLowerCase()] = headers[name];
+  }
+  return result;
+}
+
+/**
+ * Hash of the string (FNV-1a), used for file names and credential fingerprints
+ *
+ * @param {String} value
+ * @returns {String} Hexadecimal hash
+ */
+function hash(value) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,172 @@
+import Debug from 'debug';
+import { Consumer } from './consumer'
+import { ProviderSelector, serviceUrl } from './selection'
+import {
+  OperationNotFoundError,
+  MappingSpecError,
+  ProviderConnectionError,
+  ProviderHttpError,
+  NoProviderAvailableError
+} from './errors'
+
+const debug = Debug('superdriver:client');
+
+const DEFAULT_OPTIONS = {
+  cooldown: 30000
+}
+
+export class Client {
+  /**
+   * Profile client performing operations with any provider found in the register
+   *
+   * Services returned by the register are tried in the order of the selection strategy. When a provider can't be reached,
+   * times out, responds with 5xx or 429 or does not map the requested operation, the next one is used.
+   * Failing providers are skipped for the cooldown period, unless no other provider is left.
+   *
+   * @param {Object} params
+   * @param {String} params.profileId Profile identifier
+   * @param {Register} params.register Register used to discover the providers
+   * @param {Object} options
+   * @param {Number} options.cooldown Time in milliseconds a failing provider is skipped for
+   * @param {Function} options.authentication Optional function returning credentials for a given service
+   * @param {Object} options.consumer Options passed to every Consumer
+   * @param {ProviderSelector|Object} options.selection Provider selection strategy, or the options of a ProviderSelector
+   */
+  constructor({ profileId, register }, options) {
+    this.profileId = profileId;
+    this.register = register;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+    this.consumers = new Map();
+    this.health = new Map();
+    this.selector = (this.options.selection instanceof ProviderSelector)
+      ? this.options.selection
+      : new ProviderSelector(this.options.selection);
+  }
+
+  /**
+   * Invoke a profile's affordance with the first available provider
+   *
+   * @param {Object} request Request object for the affordance to perform, see Consumer.perform()
+   *
+   * @return {Promise<Object>} Object with the `service` that answered and its `response`
+   */
+  async perform(request) {
+    const failures = [];
+    const candidates = await this.selector.select(await this.register.findServices(this.profileId), {
+      operation: request.operation,
+      consumerFor: (service) => this.consumerFor(service),
+      onExcluded: (service, error) => failures.push({ service, error })
+    });
+    const services = this.orderServices(candidates);
+
+    for (const service of services) {
+      const url = serviceUrl(service);
+      debug(`performing '${request.operation}' with ${url}`);
+
+      const start = Date.now();
+      try {
+        const response = await this.consumerFor(service).perform(request);
+        this.selector.observe(service, Date.now() - start);
+        this.markHealthy(url);
+        return { service, response };
+      }
+      catch (e) {
+        // Failing providers are penalized so the latency ranking does not prefer them
+        const failed = isProviderFailure(e);
+        this.selector.observe(service, Date.now() - start, failed);
+        if (!failed) {
+          throw e;
+        }
+
+        debug(`  provider ${url} failed:`, e.message);
+        this.markFailed(url, e);
+        failures.push({ service, error: e });
+      }
+    }
+
+    throw new NoProviderAvailableError(request.operation, failures);
+  }
+
+  /**
+   * Health of the providers used so far
+   *
+   * @return {Object} Dictionary of provider health keyed by the service URL
+   */
+  getHealth() {
+    const result = {};
+    for (const [url, health] of this.health) {
+      result[url] = Object.assign({ available: this.isAvailable(url) }, health);
+    }
+    return result;
+  }
+
+  /**
+   * Skip providers in cooldown, they are used only when no other provider is left
+   *
+   * @param {Array<Object>} services Services returned by the register
+   */
+  orderServices(services) {
+    const available = services.filter(service => this.isAvailable(serviceUrl(service)));
+    if (available.length) {
+      return available;
+    }
+
+    debug('all providers are in cooldown, trying them anyway');
+    return services;
+  }
+
+  isAvailable(url) {
+    const health = this.health.get(url);
+    return !health || !health.unavailableUntil || health.unavailableUntil <= Date.now();
+  }
+
+  markHealthy(url) {
+    this.health.set(url, { failures: 0, lastError: null, unavailableUntil: null });
+  }
+
+  markFailed(url, error) {
+    const health = this.health.get(url) || { failures: 0 };
+    this.health.set(url, {
+      failures: health.failures + 1,
+      lastError: error.message,
+      unavailableUntil: Date.now() + this.options.cooldown
+    });
+  }
+
+  /**
+   * Get (or create) the consumer for a service, consumers are kept to reuse fetched API specifications
+   *
+   * @param {Object} service Service returned by the register
+   */
+  consumerFor(service) {
+    const url = serviceUrl(service);
+    if (!this.consumers.has(url)) {
+      const authentication = this.options.authentication ? this.options.authentication(service) : undefined;
+      this.consumers.set(url, new Consumer({
+        url,
+        mappingUrl: service.mappingUrl,
+        profileId: this.profileId,
+        authentication
+      }, this.options.consumer));
+    }
+
+    return this.consumers.get(url);
+  }
+};
+
+/**
+ * Decide whether an error means the provider is failing, and another one should be tried.
+ * Only network errors, timeouts, 5xx and 429 responses and missing or invalid mappings fail over. Provider's other
+ * 4xx responses and invalid requests are caused by the caller, other errors by the client itself, they are thrown.
+ *
+ * @param {Error} error
+ */
+function isProviderFailure(error) {
+  if (error instanceof ProviderHttpError) {
+    return error.status >= 500 || error.status === 429;
+  }
+
+  return error instanceof ProviderConnectionError ||
+    error instanceof OperationNotFoundError ||
+    error instanceof MappingSpecError;
+}
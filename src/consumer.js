@@ -8,36 +8,47 @@
 //
 import Debug from 'debug';
 import fetch from 'isomorphic-fetch'
-import SwaggerParser from 'swagger-parser'
-import * as base64 from './base64'
 import * as mapping from './util/mappingSpec'
-import mapResponse from './util/map'
+import mapResponse, { assignValue } from './util/map'
+import { resolvePolicy, fetchWithPolicy } from './util/retry'
+import { resolveSecurity, applySecurity, OAuth2TokenCache } from './security'
+import { serializePath, serializeQuery, serializeHeader, serializeCookie } from './util/parameters'
+import { selectMediaType, buildBody, encodeBody } from './util/body'
+import { validate } from './util/validate'
+import { coerce } from './util/coerce'
+import { MemoryCache } from './cache'
+import { loadSpecification } from './specification'
+import { Profile } from './profile'
+import { middlewareChain, runStage, wrapExecute } from './middleware'
+import { NoopTelemetry, withSpan, isSensitive, redact, redactUrl } from './telemetry'
+import { firstPageRequest, nextPageRequest, requestUrl, countItems, mergePage } from './util/pagination'
+import { parseBody, findParser, selectResponseMediaType, acceptHeader, isXml, conformXml } from './util/mediaTypes'
+import {
+  SuperdriverError,
+  OperationNotFoundError,
+  MissingRequiredParameterError,
+  InputValidationError,
+  ResponseValidationError,
+  MappingSpecError,
+  ProviderConnectionError,
+  ProviderHttpError
+} from './errors'
 
 const debug = Debug('superdriver:consumer');
 
-// TODO: move to mappingSpec.js
-const OAS_SUPER_KEY = 'x-super';
-const OAS_SUPER_SOURCE_KEY = 'source';
-const OAS_SUPER_VALUE_KEY = 'value';
-
-// TODO: move to some sort of superdriver spec
-const SUPER_AUTH_API_KEY = "apikey";
-
-const OAS_SOURCE = {
-  basic: {
-    user: 'security-basic-user',
-    password: 'security-basic-password',
-  },
-  apikey: {
-    key: 'security-apikey-key',
-    secret: 'security-apikey-secret'
-  }
-}
-
 const DEFAULT_OPTIONS = {
-  fetch: fetch
+  fetch: fetch,
+  cache: null,
+  telemetry: new NoopTelemetry(),
+  redact: []
 }
 
+// Dereferenced API specifications shared by the consumers, keyed by the specification URL and its validator
+const specifications = new MemoryCache({ maxEntries: 20 });
+
+// Pages fetched by paginate() when the caller sets no limit
+const DEFAULT_MAX_PAGES = 100;
+
 export class Consumer {
   /**
    * Superdriver profile consumer' constructor
@@ -46,16 +57,45 @@ export class Consumer {
    * @param {String} service.url Service URL
    * @param {String} service.profileId Profile identifier
    * @param {String} service.mappingUrl Optional mapping URL
-   * @param {Object} service.authentication Optional Credentials for authentication
+   * @param {Object|String} service.mapping Optional mapping used instead of fetching it, OAS object, file path or YAML / JSON text
+   * @param {String} service.mappingBasePath Optional path or URL the relative $refs of the mapping are resolved against
+   * @param {Object} service.authentication Optional Credentials for authentication, see security.js
    * @param {Object} options
    * @param {Function} options.fetch custom implementation of fetch
+   * @param {Object} options.policy Optional timeout and retry policy of the provider calls, see util/retry.js
+   * @param {Boolean} options.validate Validate input parameters against the mapping schemas before calling the provider
+   * @param {String} options.responseValidation Validate provider responses against the mapping schemas, 'warn' or 'error'
+   * @param {Boolean} options.coerce Coerce response values to the types and formats declared by the mapping
+   * @param {Function} options.onSchemaDrift Optional callback called with the errors and operation when validation warns
+   * @param {Object} options.parsers Optional response body parsers keyed by media type pattern, see util/mediaTypes.js
+   * @param {HttpCache} options.cache Optional cache of the API specification and GET responses, see cache.js
+   * @param {Profile|Object|String|Boolean} options.profile Optional profile the requests are checked against,
+   *   Profile, ALPS document or `true` to fetch it from the profile id
+   * @param {Array<Object>} options.middleware Optional middleware of the consumer, see middleware.js
+   * @param {Object} options.telemetry Optional telemetry adapter the spans and metrics are reported to, see telemetry.js
+   * @param {Array<String>} options.redact Names of additional sensitive headers, parameters and fields to redact from telemetry and logs
    */
   constructor(service, options) {
     this.providerUrl = service.url;
     this.profileId = service.profileId;
     this.mappingUrl = service.mappingUrl;
+    this.mapping = service.mapping;
+    this.mappingBasePath = service.mappingBasePath;
     this.authentication = service.authentication;
-    this.options = Object.assign(DEFAULT_OPTIONS, options)
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+    this.tokens = new OAuth2TokenCache();
+    this.middleware = (this.options.middleware || []).slice();
+  }
+
+  /**
+   * Add middleware hooking into the stages of perform(), see middleware.js
+   *
+   * @param {Object} middleware Object with any of the `beforeBuild`, `afterBuild`, `execute` and `afterNormalize` hooks
+   * @returns {Consumer} The consumer
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
   }
 
   /**
@@ -65,73 +105,370 @@ export class Consumer {
    * @param {String} request.operation Identifier of the affordance – operation to invoke as defined in the used ALPS profile
    * @param {Object} request.parameters Dictionary of request input parameters as defined in the used ALPS profile
    * @param {Array<String>} request.response Array of desired response properties as defined in the used ALPS profile
+   * @param {Object} request.policy Optional timeout and retry policy overriding the consumer's policy
+   * @param {Boolean} request.validate Optionally override the consumer's input validation option
+   * @param {String} request.responseValidation Optionally override the consumer's response validation option
+   * @param {Boolean} request.coerce Optionally override the consumer's response coercion option
    *
    * @return {Promise}
    */
   async perform(request) {
+    const telemetry = this.options.telemetry;
+    const attributes = this.spanAttributes(request);
+    const start = Date.now();
+    let outcome = 'success';
+
+    try {
+      return await withSpan(telemetry, 'superdriver.perform', attributes, null, async (span) => {
+        const { oasOperation, httpRequest, policy, context } = await this.prepare(request, span);
+
+        // Execute the request and normalize the response, translating it from the HTTP response to Profile
+        const httpResponse = await this.executeOperation(oasOperation, httpRequest, policy, context);
+        const profileResponse = await this.normalizeOperation(oasOperation, httpResponse, context);
+
+        debug('result:', redact(profileResponse, this.options.redact));
+        return profileResponse;
+      });
+    }
+    catch (e) {
+      outcome = e.code || 'error';
+      throw e;
+    }
+    finally {
+      telemetry.recordMetric('superdriver.perform.duration', Date.now() - start, Object.assign({ 'superdriver.outcome': outcome }, attributes));
+    }
+  }
+
+  /**
+   * Invoke a collection affordance, following the pagination described in the mapping
+   *
+   * Yields the normalized result of every page. The pagination is described by `x-super.pagination`
+   * of the operation (see util/pagination.js), Link `rel="next"` headers are followed when there is none.
+   *
+   * @param {Object} request Request object for the affordance to perform, see perform()
+   * @param {Object} options
+   * @param {Number} options.maxPages Optional maximum number of pages to fetch, 100 by default
+   * @param {Number} options.maxItems Optional maximum number of collection items to fetch
+   */
+  async *paginate(request, options = {}) {
+    const span = this.options.telemetry.startSpan('superdriver.paginate', this.spanAttributes(request), null);
+    try {
+      yield* this.pages(request, options, span);
+    }
+    catch (e) {
+      span.recordError(e);
+      throw e;
+    }
+    finally {
+      span.end();
+    }
+  }
+
+  //
+  // Pages of the paginate() call
+  //
+  async *pages(request, options, span) {
+    const { oasOperation, httpRequest, policy, context } = await this.prepare(request, span);
+    const superMetadata = oasOperation.details[mapping.OAS_SUPER_KEY] || {};
+    const pagination = superMetadata[mapping.OAS_SUPER_PAGINATION_KEY] || {};
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const maxItems = options.maxItems || Infinity;
+
+    let pageRequest = firstPageRequest(pagination, httpRequest);
+    let pageCount = 0;
+    let itemCount = 0;
+    // URLs of the pages fetched, a provider repeating the next link or cursor on the last page would loop forever
+    const fetched = new Set();
+    while (pageRequest) {
+      fetched.add(requestUrl(pageRequest));
+      const httpResponse = await this.executeOperation(oasOperation, pageRequest, policy, context);
+      const page = await this.normalizeOperation(oasOperation, httpResponse, context);
+      const pageItemCount = countItems(page);
+      pageCount += 1;
+      itemCount += pageItemCount;
+      debug(`page ${pageCount} with ${pageItemCount} items`);
+      span.setAttributes({ 'superdriver.pages': pageCount, 'superdriver.items': itemCount });
+
+      yield page;
+
+      if (pageCount >= maxPages || itemCount >= maxItems) {
+        debug('pagination limit reached');
+        return;
+      }
+      pageRequest = nextPageRequest(pagination, pageRequest, httpResponse, pageItemCount);
+      if (pageRequest && fetched.has(requestUrl(pageRequest))) {
+        debug('next page was fetched already, pagination ends');
+        return;
+      }
+    }
+  }
+
+  /**
+   * Invoke a collection affordance and resolve to the results of all its pages
+   *
+   * Collections of the pages are concatenated, other values are taken from the first page.
+   *
+   * @param {Object} request Request object for the affordance to perform, see perform()
+   * @param {Object} options Pagination limits, see paginate()
+   *
+   * @return {Promise}
+   */
+  async performAll(request, options = {}) {
+    const maxItems = options.maxItems || Infinity;
+    let result = null;
+    for await (const page of this.paginate(request, options)) {
+      result = mergePage(result || {}, page, maxItems);
+    }
+
+    debug('result:', redact(result, this.options.redact));
+    return result;
+  }
+
+  /**
+   * Build the HTTP request of the profile request without sending it
+   *
+   * Credentials are not applied, the security schemes that would be used are listed instead.
+   * Values of sensitive headers and query parameters are redacted.
+   *
+   * @param {Object} request Request object for the affordance, see perform()
+   *
+   * @return {Promise<Object>} The `method`, `url`, `headers`, `body` and `security` scheme ids of the request
+   */
+  async explain(request) {
+    const { httpRequest } = await this.prepare(request, null);
+    const sensitive = this.sensitiveNames(httpRequest);
+    return {
+      method: httpRequest.method.toUpperCase(),
+      url: redactUrl(httpRequest.url, httpRequest.query, sensitive),
+      headers: redact(httpRequest.headers, sensitive),
+      body: (typeof httpRequest.body === 'string' || httpRequest.body === null) ? httpRequest.body : '[binary body]',
+      security: (httpRequest.security || []).map(entry => entry.id)
+    };
+  }
+
+  //
+  // Find the operation and build its HTTP request according to OpenAPI Specification and Profile request,
+  // resolves to the operation, HTTP request, policy and the middleware context of the call
+  //
+  async prepare(request, span) {
+    const telemetry = this.options.telemetry;
     debug(`performing '${request.operation}' for ${this.providerUrl} service`);
-    debug(`  parameters: ${JSON.stringify(request.parameters)}`);
+    debug(`  parameters: ${JSON.stringify(redact(request.parameters, this.options.redact))}`);
     debug(`  expected response: ${JSON.stringify(request.response)}`);
 
+    // Reject operations, parameters and response values the profile does not define before calling the provider
+    const profile = await this.getProfile();
+    if (profile) {
+      profile.validateRequest(request);
+    }
+
     // Fetch OpenAPI Specification (if not already)
-    await this.fetchAPISpecification();
+    const specificationURL = this.mapping ? undefined : this.specificationURL();
+    await withSpan(telemetry, 'superdriver.spec_fetch', { 'superdriver.spec_url': specificationURL }, span, () => this.fetchAPISpecification());
 
     // Find in OpenAPI Specification the operation with given Profile's affordance id
-    const oasOperation = this.findOperation(request.operation);
-    if (!oasOperation) {
-      throw new Error(`No operation found for '${request.operation}'`);
-    }
+    const oasOperation = await withSpan(telemetry, 'superdriver.resolve_operation', {}, span, async (resolveSpan) => {
+      const operation = this.findOperation(request.operation);
+      if (!operation) {
+        throw new OperationNotFoundError(request.operation);
+      }
+      resolveSpan.setAttributes({ 'http.method': operation.method.toUpperCase(), 'superdriver.path': operation.url });
+      return operation;
+    });
 
-    // Build HTTP request according to OpenAPI Specification and Profile request
-    const httpRequest = this.buildRequest(request.operation, oasOperation, request.parameters);
+    // Build HTTP request according to OpenAPI Specification and Profile request, middleware may change both
+    const context = { consumer: this, request, operation: oasOperation, state: {}, middleware: middlewareChain(this.middleware), span };
+    const httpRequest = await withSpan(telemetry, 'superdriver.build_request', {}, span, async () => {
+      context.request = await runStage(context.middleware, 'beforeBuild', request, context);
 
-    // Execute the request
-    const httpResponse = await this.execute(httpRequest);
-    debug('resp', httpResponse)
+      const validate = ('validate' in context.request) ? context.request.validate : this.options.validate;
+      const builtRequest = this.buildRequest(context.request.operation, oasOperation, context.request.parameters, { validate });
+      return runStage(context.middleware, 'afterBuild', builtRequest, context);
+    });
+    const policy = resolvePolicy(this.options.policy, context.request.policy);
 
-    // Normalize the response, translating it from the HTTP response to Profile
-    const profileResponse = this.normalizeResponse(request, oasOperation, httpResponse);
+    return { oasOperation, httpRequest, policy, context };
+  }
 
-    debug('result:', profileResponse);
+  //
+  // Execute the request through the middleware, error responses documented in the mapping are translated to Profile too
+  //
+  async executeOperation(oasOperation, httpRequest, policy, context) {
+    const telemetry = this.options.telemetry;
+    const attributes = Object.assign({
+      'http.method': httpRequest.method.toUpperCase(),
+      'http.url': redactUrl(httpRequest.url, httpRequest.query, this.sensitiveNames(httpRequest))
+    }, this.spanAttributes(context.request));
+
+    return withSpan(telemetry, 'superdriver.http', attributes, context.span, async (span) => {
+      const start = Date.now();
+      let retries = 0;
+      let status;
+      const onRetry = (attempt, reason, delay) => {
+        retries = attempt;
+        span.addEvent('retry', { 'superdriver.attempt': attempt, 'superdriver.reason': reason, 'superdriver.delay_ms': delay });
+      };
+      const execute = wrapExecute(context.middleware, (request) => this.execute(request, policy, onRetry), context);
+
+      try {
+        const httpResponse = await execute(httpRequest);
+        status = httpResponse.status;
+        debug('resp', httpResponse.status, httpResponse.mediaType)
+        return httpResponse;
+      }
+      catch (e) {
+        if (e instanceof ProviderHttpError) {
+          status = e.status;
+          this.normalizeError(oasOperation, e);
+        }
+        throw e;
+      }
+      finally {
+        const latency = Date.now() - start;
+        span.setAttributes({ 'http.status_code': status, 'superdriver.retry_count': retries, 'superdriver.latency_ms': latency });
+        telemetry.recordMetric('superdriver.http.duration', latency, Object.assign({ 'http.status_code': status }, attributes));
+        if (retries) {
+          telemetry.recordMetric('superdriver.http.retries', retries, attributes, 'counter');
+        }
+      }
+    });
+  }
+
+  //
+  // Normalize the response in its own span, the middleware may change the result
+  //
+  async normalizeOperation(oasOperation, httpResponse, context) {
+    return withSpan(this.options.telemetry, 'superdriver.map', {}, context.span, async () => {
+      const result = this.normalizeResponse(context.request, oasOperation, httpResponse);
+      return runStage(context.middleware, 'afterNormalize', result, context);
+    });
+  }
+
+  //
+  // Names to redact from the request: the configured ones and those the request carries credentials in
+  //
+  sensitiveNames(request) {
+    return this.options.redact.concat(request.sensitive || []);
+  }
 
-    return Promise.resolve(profileResponse);
+  //
+  // Attributes of the telemetry spans and metrics
+  //
+  spanAttributes(request) {
+    return {
+      'superdriver.profile_id': this.profileId,
+      'superdriver.operation': request.operation,
+      'superdriver.provider_url': this.providerUrl
+    };
+  }
+
+  /**
+   * Profile the requests are checked against, fetched or parsed when first needed
+   *
+   * @returns {Promise<Profile>} The profile, null when the consumer has none
+   */
+  async getProfile() {
+    if (!this.profile && this.options.profile) {
+      const profile = this.options.profile;
+      if (profile instanceof Profile) {
+        this.profile = await profile.fetchProfile();
+      } else if (profile === true) {
+        this.profile = await Profile.load(this.profileId, { fetch: this.options.fetch });
+      } else {
+        this.profile = new Profile(this.profileId, profile);
+      }
+    }
+
+    return this.profile || null;
   }
 
   /**
    * Fetch OAS from the provider
    */
   async fetchAPISpecification() {
+    if (!this.apiSpecification && this.mapping) {
+      // Use the mapping provided locally, nothing is fetched
+      this.apiSpecification = await loadSpecification(this.mapping, { basePath: this.mappingBasePath });
+    }
+
     if (!this.apiSpecification) {
-      // Use provided mapping URL or hard-code guess
-      const specificationURL = (this.mappingUrl && this.mappingUrl.length) ? this.mappingUrl : `${this.providerUrl}/oas`;
+      const specificationURL = this.specificationURL();
       debug(`fetching API specification from ${specificationURL}`);
 
       // Make the call
+      let response;
       try {
-        const response = await this.options.fetch(specificationURL, {
+        response = await this.fetch(specificationURL, {
           headers: {
             'Accept': 'application/json'
           }
         })
+      }
+      catch (e) {
+        throw new ProviderConnectionError(`API specification can not be fetched: ${e.message}`, e);
+      }
 
+      // Missing and invalid specifications are mapping errors
+      try {
         // TODO: handle empty state better
         const body = await response.json()
 
         if (!response.body) {
-          throw new Error('No API specification found');
+          throw new MappingSpecError('No API specification found');
         }
 
-        this.apiSpecification = await SwaggerParser.dereference(body);
+        // The same version of the specification is dereferenced only once
+        const validator = response.headers && (response.headers.get('etag') || response.headers.get('last-modified'));
+        const key = validator && `${specificationURL} ${validator}`;
+        // Remote $refs are fetched the same way as the specification, through the cache and the custom fetch
+        this.apiSpecification = (key && await specifications.get(key)) || await loadSpecification(body, {
+          basePath: specificationURL,
+          fetch: (url, init) => this.fetch(url, init)
+        });
+        if (key) {
+          await specifications.set(key, this.apiSpecification);
+        }
         debug(`  retrieved API specification.`);
       }
       catch (e) {
-        return Promise.reject(e);
-      };
+        if (e instanceof SuperdriverError) {
+          throw e;
+        }
+        throw new MappingSpecError(`API specification can not be loaded: ${e.message}`);
+      }
     }
 
     return this.apiSpecification;
   }
 
+  /**
+   * Drop the API specification and the cached responses of the provider, they are fetched again when needed
+   */
+  async invalidateCache() {
+    this.apiSpecification = null;
+    if (this.options.cache) {
+      await this.options.cache.invalidate(this.specificationURL());
+      await this.options.cache.invalidate(this.providerUrl);
+    }
+  }
+
+  //
+  // URL of the API specification, the provided mapping URL or hard-coded guess
+  //
+  specificationURL() {
+    return (this.mappingUrl && this.mappingUrl.length) ? this.mappingUrl : `${this.providerUrl}/oas`;
+  }
+
+  //
+  // Fetch through the cache if there is one
+  //
+  fetch(url, init) {
+    if (this.options.cache) {
+      return this.options.cache.fetch(this.options.fetch, url, init);
+    }
+    return this.options.fetch(url, init);
+  }
+
   /**
    * Find operation with given x-profile affordance id
    *
@@ -154,24 +491,37 @@ export class Consumer {
         const operation = path[operationKey];
 
         if (operation[mapping.OAS_PROFILE_KEY] === fullProfileAffordanceId) {
-          debug(`found operation mapping: `, JSON.stringify(operation));
+          debug(`found operation mapping: ${operationKey.toUpperCase()} ${pathKey}`);
 
-          // Find response schema
+          // Find response schema of a media type we can parse, collect all media types for content negotiation
           let responseSchema = null;
+          let responseMediaType = null;
+          const responseMediaTypes = [];
           for (const responseCode in operation.responses) {
+            const content = operation.responses[responseCode].content;
+            if (!content) continue;
+
             if (responseCode[0] === '2') { // 2xx
-              if (operation.responses[responseCode].content && operation.responses[responseCode].content['application/json'] && operation.responses[responseCode].content['application/json'].schema)
-                responseSchema = operation.responses[responseCode].content['application/json'].schema; // TODO: Don't assume content type
+              responseMediaTypes.unshift(...Object.keys(content));
+              const mediaType = selectResponseMediaType(content, this.options.parsers);
+              if (mediaType && content[mediaType].schema) {
+                responseSchema = content[mediaType].schema;
+                responseMediaType = mediaType;
+              }
+            } else {
+              responseMediaTypes.push(...Object.keys(content));
             }
           }
-          debug(`  operation response schema: ${responseSchema ? 'yes' : 'no'}`);
+          debug(`  operation response schema: ${responseSchema ? responseMediaType : 'no'}`);
 
           // Return operation data
           return {
             url: pathKey,
             method: operationKey,
             details: operation,
-            responseSchema
+            responseSchema,
+            responseMediaType,
+            responseMediaTypes
           };
         }
       }
@@ -187,20 +537,48 @@ export class Consumer {
    * @param {String} affordanceId
    * @param {String} oasOperation
    * @param {Object} parameters
+   * @param {Object} options
+   * @param {Boolean} options.validate Validate the parameters against their schemas
    */
-  buildRequest(affordanceId, oasOperation, parameters) {
+  buildRequest(affordanceId, oasOperation, parameters, options = {}) {
     let url = `${this.providerUrl}${oasOperation.url}`;
     const method = oasOperation.method;
     let headers = {};
     let query = [];
+    let cookies = [];
     let body = null;
+    // Names of the headers, parameters and fields carrying credentials, redacted from telemetry and logs
+    const sensitive = [];
 
-    // Fully qualified the input parameters
+    // Fully qualified the input parameters, keep the identifiers used by the caller to report validation errors
     let inputParameters = {}
+    let inputIdentifiers = {}
     for (const parameterId in parameters) {
-      inputParameters[qualifyValueIdentifer(parameterId, this.profileId, affordanceId)] = parameters[parameterId];
+      const fullParameterId = qualifyValueIdentifer(parameterId, this.profileId, affordanceId);
+      inputParameters[fullParameterId] = parameters[parameterId];
+      inputIdentifiers[fullParameterId] = parameterId;
+
+      // Inputs the affordance references (ALPS `href`) may be mapped by the id of the referenced descriptor
+      const referencedId = qualifyValueIdentifer(parameterId, this.profileId);
+      if (!(referencedId in parameters) && !(referencedId in inputParameters)) {
+        inputParameters[referencedId] = parameters[parameterId];
+        inputIdentifiers[referencedId] = parameterId;
+      }
     }
-    debug('fully qualified input parameters:', JSON.stringify(inputParameters));
+    debug('fully qualified input parameters:', JSON.stringify(redact(inputParameters, this.options.redact)));
+
+    // Validate the input value against its schema, errors are collected and reported at once
+    const validationErrors = {};
+    const checkValue = (schema, fullParameterId, value) => {
+      if (!options.validate || !schema) {
+        return;
+      }
+      const errors = validate(schema, value);
+      if (errors.length) {
+        const identifier = inputIdentifiers[fullParameterId] || fullParameterId;
+        validationErrors[identifier] = (validationErrors[identifier] || []).concat(errors);
+      }
+    };
 
     //
     // Process OAS parameters
@@ -216,7 +594,7 @@ export class Consumer {
         const fullParameterId = (mapping.OAS_PROFILE_KEY in parameter) ? parameter[mapping.OAS_PROFILE_KEY] : undefined;
 
         debug(`fullParameterId: "${fullParameterId}"`);
-        debug('inputParameters:', inputParameters);
+        debug('inputParameters:', redact(inputParameters, this.options.redact));
         debug('(fullParameterId in inputParameters)', (fullParameterId in inputParameters));
 
         // is parameter provided in user's input?
@@ -226,244 +604,286 @@ export class Consumer {
         let parameterValue = undefined;
         if (isProvided) {
           parameterValue = inputParameters[fullParameterId];
+          checkValue(parameterSchema(parameter), fullParameterId, parameterValue);
         }
 
         // try super metadata
-        if (!isProvided && (OAS_SUPER_KEY in parameter)) {
-          if (OAS_SUPER_SOURCE_KEY in parameter[OAS_SUPER_KEY]) {
-            // Find the source of value and use it
-            if (parameter[OAS_SUPER_KEY][OAS_SUPER_SOURCE_KEY] === OAS_SOURCE.basic.user) {
-              if (this.authentication && ('basic' in this.authentication))
-                parameterValue = this.authentication['basic'].user; // Use authentication user as the value
-            }
-            else if (parameter[OAS_SUPER_KEY][OAS_SUPER_SOURCE_KEY] === OAS_SOURCE.apikey.key) {
-              if (this.authentication && (SUPER_AUTH_API_KEY in this.authentication))
-                parameterValue = this.authentication[SUPER_AUTH_API_KEY].key;
-            }
-          }
-          else if (OAS_SUPER_VALUE_KEY in parameter[OAS_SUPER_KEY]) {
-            // Use mapping-provided value directly
-            parameterValue = parameter[OAS_SUPER_KEY][OAS_SUPER_VALUE_KEY];
+        if (!isProvided && (mapping.OAS_SUPER_KEY in parameter)) {
+          parameterValue = superValue(parameter[mapping.OAS_SUPER_KEY], this.authentication);
+          if (mapping.OAS_SUPER_SOURCE_KEY in parameter[mapping.OAS_SUPER_KEY]) {
+            sensitive.push(parameter.name);
           }
         }
-        debug(`  is required ${isRequired}, profile id: ${fullParameterId}, provided: ${isProvided}, value: ${parameterValue}`);
+        // Values of super metadata are mostly credentials, they are not logged either
+        const loggedValue = (isSensitive(parameter.name, this.options.redact) || (fullParameterId && isSensitive(fullParameterId, this.options.redact)) || !isProvided) ? '[REDACTED]' : parameterValue;
+        debug(`  is required ${isRequired}, profile id: ${fullParameterId}, provided: ${isProvided}, value: ${loggedValue}`);
 
         if (isProvided || parameterValue) {
+          // Serialize according to the parameter style, see util/parameters.js
           if (parameter.in === 'query') {
-            // Query parameters
-            debug('parameter value', parameterValue);
-            if (Array.isArray(parameterValue)) {
-              for (let value of parameterValue) {
-                query.push(`${parameter.name}=${value}`);
-              }
-            }
-            else {
-              query.push(`${parameter.name}=${parameterValue}`);
-            }
+            query.push(...serializeQuery(parameter, parameterValue));
           }
           else if (parameter.in === 'header') {
-            // TODO: handle situation when header has more values
-            if (Array.isArray(parameterValue)) parameterValue = parameterValue[0]
-            headers[parameter.name] = parameterValue;
+            headers[parameter.name] = serializeHeader(parameter, parameterValue);
+          }
+          else if (parameter.in === 'cookie') {
+            cookies.push(...serializeCookie(parameter, parameterValue));
           }
           else {
-            // Brute-force replace
-            // Consider proper RFC6570, tooling
-
-            // TODO: handle situation when parameter have more values
-            if (Array.isArray(parameterValue)) parameterValue = parameterValue[0]
-            url = url.replace(`{${parameter.name}}`, parameterValue);
+            url = url.replace(`{${parameter.name}}`, serializePath(parameter, parameterValue));
           }
         }
         else if (isRequired) {
-          throw new Error(`required parameter '${parameter.name}' (profile id: '${fullParameterId}') not provided`);
+          throw new MissingRequiredParameterError(parameter.name, fullParameterId);
         }
       });
     }
 
+    if (cookies.length) {
+      headers['Cookie'] = cookies.join('; ');
+    }
+
     //
     // Process OAS requestBody
     //
     if (oasOperation.details.requestBody) {
-      // Iterate available request media types
-      let requestContentTypes = [];
-      for (const mediaType in oasOperation.details.requestBody.content) {
-        debug(`request media type: '${mediaType}'`);
-
-        if (mediaType !== 'application/json' &&
-          mediaType !== 'application/x-www-form-urlencoded') {
-          debug('the request media type not yet supported, please contact makers');
-          return null;
-        }
-
-        const requestContentType = {
-          mediaType: mediaType,
-          body: {}
-        };
-
-        // TODO: Naive, flat traversal, revisit for real objects
-        // TODO: validate if a property is required
-        const schemaProperties = oasOperation.details.requestBody.content[mediaType].schema.properties;
-        for (const propertyKey in schemaProperties) {
-          if (schemaProperties[propertyKey][mapping.OAS_PROFILE_KEY]) {
-            const propertyId = schemaProperties[propertyKey][mapping.OAS_PROFILE_KEY];
-            if (propertyId in inputParameters) {
-              requestContentType.body[propertyKey] = inputParameters[propertyId];
-            }
+      const content = oasOperation.details.requestBody.content;
+      const mediaType = selectMediaType(content);
+      if (!mediaType) {
+        throw new MappingSpecError(`none of the request media types of '${affordanceId}' is supported, contact makers`);
+      }
+      debug(`request media type: '${mediaType}'`);
+
+      // Resolve values of the body schema from the input parameters or super metadata,
+      // indices select the value when the schema is inside an array
+      const resolve = (schema, indices, path) => {
+        if (mapping.OAS_PROFILE_KEY in schema) {
+          let value = inputParameters[schema[mapping.OAS_PROFILE_KEY]];
+          for (const index of indices) {
+            value = Array.isArray(value) ? value[index] : undefined;
           }
-          else if (schemaProperties[propertyKey][OAS_SUPER_KEY]) {
-            // Check if source of the value parameter value is specified
-            if (schemaProperties[propertyKey][OAS_SUPER_KEY].source === OAS_SOURCE.apikey.key) {
-              // Source of the value is apikey's key
-              if (this.authentication && (SUPER_AUTH_API_KEY in this.authentication))
-                requestContentType.body[propertyKey] = this.authentication[SUPER_AUTH_API_KEY].key;
-            }
-            else if (schemaProperties[propertyKey][OAS_SUPER_KEY].source === OAS_SOURCE.apikey.secret) {
-              // Source of the value is apikey's secret
-              if (this.authentication && (SUPER_AUTH_API_KEY in this.authentication))
-                requestContentType.body[propertyKey] = this.authentication[SUPER_AUTH_API_KEY].secret;
+          if (value !== undefined) {
+            checkValue(schema, schema[mapping.OAS_PROFILE_KEY], value);
+            return { value, provided: true };
+          }
+        }
+        else if (mapping.OAS_SUPER_KEY in schema) {
+          const value = superValue(schema[mapping.OAS_SUPER_KEY], this.authentication);
+          if (value !== undefined) {
+            // Values of sources are credentials, the field is named by the last property of its path
+            if (mapping.OAS_SUPER_SOURCE_KEY in schema[mapping.OAS_SUPER_KEY]) {
+              sensitive.push(...path.filter(segment => typeof segment === 'string').slice(-1));
             }
+            return { value, provided: false };
           }
         }
-        requestContentTypes.push(requestContentType);
-      }
-      if (requestContentTypes.length) {
-        // TODO: Happy case – pick the first supported media type
-        headers['content-type'] = requestContentTypes[0].mediaType;
-        body = requestContentTypes[0].body;
-      }
-    }
+        return undefined;
+      };
 
-    //
-    // Process OAS Security
-    //
-    let security = [];
-    if (oasOperation.details.security) {
-      // Sanity check
-      if (!this.apiSpecification.components || !this.apiSpecification.components.securitySchemes) {
-        debug.error('security specified but no security components found');
-        return null;
+      const value = buildBody(oasOperation.details.requestBody, content[mediaType].schema || {}, resolve);
+      if (Object.keys(validationErrors).length) {
+        throw new InputValidationError(validationErrors);
       }
-      const securityComponent = this.apiSpecification.components.securitySchemes;
-      // debug(securityComponent);
-
-      // Pick the security id
-      const operationSecurity = oasOperation.details.security;
-      operationSecurity.forEach(item => {
-        const securityId = Object.keys(item)[0];
-        debug('procesing security ID:', securityId);
-
-        // Figure out what schema the security id is
-        if (!(securityId in securityComponent)) {
-          debug(`security '${securityId}' is not defined in security components`);
-          return null;
-        }
-
-        let entry = { 
-          type: securityComponent[securityId].type, 
-          scheme: securityComponent[securityId].scheme 
-        }
 
-        // Normalize OAS "apiKey"
-        if (entry.type === "apiKey") {
-          entry.scheme = SUPER_AUTH_API_KEY; // Warning: Casing is "apiKey" in OAS but "apikey" in Superface auth structure!
-          entry.in = securityComponent[securityId].in
-          entry.name = securityComponent[securityId].name
+      if (value !== undefined) {
+        const encoded = encodeBody(mediaType, value, content[mediaType]);
+        if (encoded.contentType) {
+          headers['content-type'] = encoded.contentType;
         }
+        body = encoded.body;
+      }
+    }
 
-        debug('security:', entry);
-        security.push(entry);
-      });
+    if (Object.keys(validationErrors).length) {
+      throw new InputValidationError(validationErrors);
     }
 
-    // TODO: Process other elements like headers, consumes / produces
+    //
+    // Process OAS Security, operation's requirements override the global ones
+    //
+    const securityRequirements = oasOperation.details.security || this.apiSpecification.security;
+    const securitySchemes = this.apiSpecification.components && this.apiSpecification.components.securitySchemes;
+    const security = resolveSecurity(securityRequirements, securitySchemes, this.authentication);
+    debug('security:', security.map(entry => entry.id));
+    security.filter(entry => entry.type === 'apiKey').forEach(entry => sensitive.push(entry.name));
 
-    // Always accept JSON
-    headers['accept'] = 'application/json';
+    // TODO: Process other elements like headers
 
-    return { url, method, query, headers, body, security }; // TODO: searlize the body as string, do not send JSON
+    // Accept the media types the operation responds with
+    headers['accept'] = acceptHeader(oasOperation.responseMediaTypes || [], this.options.parsers);
+
+    return { url, method, query, headers, body, security, sensitive };
   }
 
   //
-  // Execute request
+  // Execute request, the policy controls timeout and retries (defaults to the consumer's policy), onRetry is called
+  // before each retry. Resolves to the response `status`, `headers`, `mediaType` and the parsed `body`
   //
-  async execute(request) {
-    // Log the request we are making
-    debug(`${request.method.toUpperCase()} ${request.url}${(request.query.length) ? '?' + request.query.join('&') : ''}`);
-    debug(`  headers:`, JSON.stringify(request.headers));
+  async execute(request, policy = resolvePolicy(this.options.policy), onRetry) {
+    // Log the request we are making, without credentials and sensitive values
+    const sensitive = this.sensitiveNames(request);
+    debug(`${request.method.toUpperCase()} ${redactUrl(request.url, request.query, sensitive)}`);
+    debug(`  headers:`, JSON.stringify(redact(request.headers, sensitive)));
 
     if (request.body)
-      debug(`  body:`, JSON.stringify(request.body))
-
-    // Authentication
-    // Todo: as this modifies headers and query params, consider moving this block to buildRequest()
-    if (request.security && request.security.length) {
-      const securityId = request.security[0]; // Pick first available
-      if (!(securityId.scheme in this.authentication)) {
-        throw new Error(`security '${JSON.stringify(securityId)}' credentials not provided`);
-      }
+      debug(`  body: ${typeof request.body === 'string' ? `${request.body.length} characters` : 'binary'}`)
 
-      const security = this.authentication[securityId.scheme]
-      if (securityId.scheme === 'basic') {
-        debug('  basic auth:', security.user); // do not log password!
-        request.headers['Authorization'] = `Basic ${base64.encode(security.user + ":" + security.password)}`
-      }
-      if (securityId.scheme === SUPER_AUTH_API_KEY) {
-        debug('  apikey authentication');
-        if (securityId.in === 'query') {
-          request.query.push(`${securityId.name}=${security.key}`);
-        }
-        else throw new Error(`apikey security in '${securityId.in}' not yet supported, contact makers`); 
+    let response = await this.send(request, policy, onRetry);
+
+    // Access token might have been revoked or expired early, obtain a new one and try again
+    if (response.status === 401 && this.tokens.invalidate(request.security)) {
+      debug('  access token rejected, retrying with a new one');
+      response = await this.send(request, policy, onRetry);
+    }
+
+    debug('http response ok:', response.ok);
+    if (!response.ok) {
+      let problemDetail = null;
+      try {
+        problemDetail = (await parseBody(response, this.options.parsers)).body
       }
-      else {
-        throw new Error(`security '${JSON.stringify(securityId)}' not yet supported, contact makers`);
+      catch (e) {
+        debug('  error response body can not be parsed');
       }
+      throw new ProviderHttpError(response.status, headersToObject(response.headers), problemDetail);
     }
 
+    const { mediaType, body } = await parseBody(response, this.options.parsers);
+    return {
+      status: response.status,
+      headers: headersToObject(response.headers),
+      mediaType,
+      body
+    };
+  }
+
+  //
+  // Authenticate and send the request to the provider
+  //
+  async send(request, policy, onRetry) {
+    const { headers, query } = await applySecurity(request, {
+      tokens: this.tokens,
+      fetch: this.options.fetch,
+      baseUrl: this.providerUrl
+    });
+
     // Method and URL
     let url = request.url
-    if (request.query) {
+    if (query.length) {
       if (url.includes('?')) {
-        url = `${url}&${request.query.join('&')}`
+        url = `${url}&${query.join('&')}`
       } else {
-        url = `${url}?${request.query.join('&')}`
+        url = `${url}?${query.join('&')}`
       }
     }
 
     const requestOptions = {
-      headers: request.headers,
+      headers,
       method: request.method
     }
 
     if (request.body !== null) {
-      // TODO: the serialization should be in buildRequest(), not here
-      requestOptions.body = JSON.stringify(request.body)
+      requestOptions.body = request.body
     }
 
-    const response = await this.options.fetch(url, requestOptions)
+    try {
+      return await fetchWithPolicy((...args) => this.fetch(...args), url, requestOptions, policy, onRetry)
+    }
+    catch (e) {
+      if (e instanceof SuperdriverError) {
+        throw e;
+      }
+      throw new ProviderConnectionError(`problem communicating with the service provider: ${e.message}`, e);
+    }
+  }
 
-    debug('http response ok:', response.ok);
-    if (!response.ok) {
-      const problemDetail = await response.json()
-      throw new Error(`problem communicating with the service provider:
-HTTP/1.1 ${response.status}
+  /**
+   * Find the response schema for the actual response status and media type
+   *
+   * The response documented for the exact status is preferred, then the status range (e.g. `2XX`), then `default`.
+   *
+   * @param {Object} operation Operation found by findOperation()
+   * @param {Number} status HTTP status of the response
+   * @param {String} mediaType Media type of the response
+   * @returns {Object} The OAS `response` object with the `schema` of the media type, null if not documented
+   */
+  findResponseSchema(operation, status, mediaType) {
+    const responses = operation.details.responses || {};
+    const statusKey = String(status);
+    const key = [statusKey, `${statusKey[0]}XX`, `${statusKey[0]}xx`, 'default'].find(candidate => candidate in responses);
+    if (!key) {
+      return null;
+    }
 
-${JSON.stringify(problemDetail)}`);
+    const response = responses[key];
+    const content = response.content || {};
+    const actualMediaType = Object.keys(content).find(candidate => candidate.split(';')[0].trim().toLowerCase() === mediaType);
+    const selectedMediaType = (actualMediaType && findParser(actualMediaType, this.options.parsers))
+      ? actualMediaType
+      : selectResponseMediaType(content, this.options.parsers);
+    const schema = selectedMediaType && content[selectedMediaType].schema;
+
+    debug(`  response schema for HTTP ${status}: ${schema ? `'${key}' ${selectedMediaType}` : 'no'}`);
+    return { response, schema: schema || null };
+  }
+
+  /**
+   * Translate provider error response to the profile
+   *
+   * The error gets the profile `outcome`, by default derived from the status (e.g. "NotFound"), or the local id
+   * of the `x-profile` of the response object. Values mapped in the error response schema are set as `profileError`.
+   *
+   * @param {Object} operation Operation found by findOperation()
+   * @param {ProviderHttpError} error Error of the provider response
+   */
+  normalizeError(operation, error) {
+    const mediaType = (error.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const documented = this.findResponseSchema(operation, error.status, mediaType);
+    if (!documented) {
+      return error;
+    }
+
+    if (documented.response[mapping.OAS_PROFILE_KEY]) {
+      error.outcome = localValueIdentifier(documented.response[mapping.OAS_PROFILE_KEY], this.profileId);
+    }
+
+    if (documented.schema && error.problem !== null && error.problem !== undefined) {
+      const problem = isXml(mediaType) ? conformXml(error.problem, documented.schema) : error.problem;
+      const profileError = {};
+      for (const entry of mapResponse(documented.schema, problem, this.apiSpecification)) {
+        const valueIdentifier = localValueIdentifier(entry.profileId, this.profileId);
+        assignValue(profileError, entry, valueIdentifier, (collectionId) => localValueIdentifier(collectionId, this.profileId));
+      }
+
+      if (Object.keys(profileError).length) {
+        error.profileError = profileError;
+      }
     }
 
-    return response.json()
+    debug(`provider error translated to '${error.outcome}'`, error.profileError);
+    return error;
   }
 
   //
   // Normalizes the response to the profile
   //
-  normalizeResponse(request, operation, response) {
+  normalizeResponse(request, operation, httpResponse) {
+    // Pick the schema documented for the actual status
+    const documented = this.findResponseSchema(operation, httpResponse.status, httpResponse.mediaType);
+    const responseSchema = (documented && documented.schema) || operation.responseSchema;
+
     // Sanity check
-    if (!operation.responseSchema) {
+    if (!responseSchema) {
       debug('no response mapping');
       return null;
     }
 
+    // XML trees are shaped by the schema first (arrays, element names)
+    let response = httpResponse.body;
+    if (isXml(httpResponse.mediaType)) {
+      response = conformXml(response, responseSchema);
+    }
+
     // Fully qualify the requested response
     let qualifiedProperties = request.response.map((valueIdentifier) => {
       return qualifyValueIdentifer(valueIdentifier, this.profileId)
@@ -471,9 +891,30 @@ ${JSON.stringify(problemDetail)}`);
 
     debug('fully qualified response properties', qualifiedProperties);
 
+    // Coerce and validate the provider's response, values are converted only when nothing is lost so what remains
+    // invalid, e.g. a numeric string out of the number range, is a schema drift
+    const shouldCoerce = ('coerce' in request) ? request.coerce : this.options.coerce;
+    if (shouldCoerce) {
+      response = coerce(responseSchema, response);
+    }
+
+    const responseValidation = ('responseValidation' in request) ? request.responseValidation : this.options.responseValidation;
+    if (responseValidation) {
+      const errors = validate(responseSchema, response);
+      if (errors.length && responseValidation === 'error') {
+        throw new ResponseValidationError(request.operation, errors);
+      }
+      if (errors.length) {
+        debug(`response of '${request.operation}' does not match the mapping:`, errors);
+        if (this.options.onSchemaDrift) {
+          this.options.onSchemaDrift(errors, { operation: request.operation, providerUrl: this.providerUrl });
+        }
+      }
+    }
+
     // Map response values to profile
     const result = {}
-    const mappedResponse = mapResponse(operation.responseSchema, response);
+    const mappedResponse = mapResponse(responseSchema, response, this.apiSpecification);
     debug('mapped response', mappedResponse);
     for (const entry of mappedResponse) {
       debug('processing:', entry)
@@ -481,42 +922,88 @@ ${JSON.stringify(problemDetail)}`);
       if (index < 0)
         continue;
 
+      // Values from within arrays are grouped into (nested) collections of item objects
       const valueIdentifier = request.response[index];
+      assignValue(result, entry, valueIdentifier, (collectionId) => localValueIdentifier(collectionId, this.profileId));
+    }
 
-      // non-collection values
-      if (entry.cursor.length === 1) {
-        result[valueIdentifier] = entry.value;
-        continue;
-      }
+    return result;
+  }
+};
 
-      // collection value
-      const re = new RegExp('#\/(.*)\/' + valueIdentifier , 'g');
-      let collectionId = re.exec(entry.profileId);
-      if (!collectionId) collectionId = '_';
-      debug('collection value key:', collectionId);
+/**
+ * Schema of a parameter, parameters described with `content` use the schema of their media type
+ *
+ * @param {Object} parameter OAS parameter object
+ */
+function parameterSchema(parameter) {
+  if (parameter.schema) {
+    return parameter.schema;
+  }
 
-      // create array if does not exists
-      if (!(collectionId in result)) {
-        result[collectionId] = []
-      }
-      
-      // Append values accoreingly
-      // TODO: work out for deeper levels
-      entry.value.forEach((value, j) => {
-        if (result[collectionId][j]) {
-          // Wrapper object does not exists
-          result[collectionId][j][valueIdentifier] = value  
-        }
-        else {
-          // Wrapper object does exists
-          result[collectionId].push({[valueIdentifier]: value})
-        } 
-      });
+  const mediaType = parameter.content && Object.keys(parameter.content)[0];
+  return mediaType ? parameter.content[mediaType].schema : undefined;
+}
+
+/**
+ * Value of a parameter or body property from its super metadata
+ *
+ * @param {Object} definition Value of the x-super extension
+ * @param {Object} authentication Credentials of the consumer
+ * @returns {any} The value, undefined if not available
+ */
+function superValue(definition, authentication) {
+  if (mapping.OAS_SUPER_SOURCE_KEY in definition) {
+    // Find the source of value and use it
+    const basic = (authentication && authentication.basic) || {};
+    const apikey = (authentication && authentication[mapping.SUPER_AUTH_API_KEY]) || {};
+    switch (definition[mapping.OAS_SUPER_SOURCE_KEY]) {
+      case mapping.OAS_SOURCE.basic.user: return basic.user;
+      case mapping.OAS_SOURCE.basic.password: return basic.password;
+      case mapping.OAS_SOURCE.apikey.key: return apikey.key;
+      case mapping.OAS_SOURCE.apikey.secret: return apikey.secret;
+      default: return undefined;
     }
+  }
 
-    return result;
+  if (mapping.OAS_SUPER_VALUE_KEY in definition) {
+    // Use mapping-provided value directly
+    return definition[mapping.OAS_SUPER_VALUE_KEY];
   }
-};
+
+  return undefined;
+}
+
+/**
+ * Convert fetch response headers to a plain object
+ *
+ * @param {Headers} headers Response headers
+ * @returns {Object} Dictionary of header values keyed by lower-cased header name
+ */
+function headersToObject(headers) {
+  const result = {};
+  if (headers && typeof headers.forEach === 'function') {
+    headers.forEach((value, name) => {
+      result[name.toLowerCase()] = value;
+    });
+  }
+  return result;
+}
+
+/**
+ * Strips the profile from a fully qualified value identifier, reverse of qualifyValueIdentifer()
+ *
+ * e.g.
+ *
+ * "http://supermodel.io/superface/CRM/profile/Customers#Customers" -> "Customers"
+ *
+ * @param {string} identifier fully qualified identifier of the value
+ * @param {string} baseProfile Base profile id
+ */
+function localValueIdentifier(identifier, baseProfile) {
+  const prefix = `${baseProfile}#`;
+  return identifier.startsWith(prefix) ? identifier.slice(prefix.length) : identifier;
+}
 
 /**
  * Fully qualifies a value identifier
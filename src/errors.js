@@ -0,0 +1,304 @@
+/**
+ * Base class of all errors raised by superdriver
+ *
+ * Every error carries a machine-readable `code`, callers can branch on the code or use `instanceof`.
+ */
+export class SuperdriverError extends Error {
+  /**
+   * @param {String} message Human readable description
+   * @param {String} code Machine-readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    // Keep instanceof working when transpiled to ES5
+    Object.setPrototypeOf(this, new.target.prototype);
+    this.name = 'SuperdriverError';
+    this.code = code || 'SUPERDRIVER_ERROR';
+  }
+}
+
+/**
+ * The mapping does not implement the requested profile affordance
+ */
+export class OperationNotFoundError extends SuperdriverError {
+  /**
+   * @param {String} operation Affordance identifier
+   */
+  constructor(operation) {
+    super(`No operation found for '${operation}'`, 'OPERATION_NOT_FOUND');
+    this.name = 'OperationNotFoundError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Required input of the operation was not provided
+ */
+export class MissingRequiredParameterError extends SuperdriverError {
+  /**
+   * @param {String} parameter Name of the provider's parameter
+   * @param {String} profileId Profile id the parameter is mapped to
+   */
+  constructor(parameter, profileId) {
+    super(`required parameter '${parameter}' (profile id: '${profileId}') not provided`, 'MISSING_REQUIRED_PARAMETER');
+    this.name = 'MissingRequiredParameterError';
+    this.parameter = parameter;
+    this.profileId = profileId;
+  }
+}
+
+/**
+ * Input values do not conform to the schemas of the mapping
+ */
+export class InputValidationError extends SuperdriverError {
+  /**
+   * @param {Object} errors Field-level errors (`path`, `keyword` and `message`) keyed by the profile identifier
+   */
+  constructor(errors) {
+    const summary = Object.keys(errors).map(id => `'${id}' ${errors[id][0].message}`).join(', ');
+    super(`invalid input: ${summary}`, 'INVALID_INPUT');
+    this.name = 'InputValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * The request uses an operation, input or output the semantic profile does not define
+ */
+export class ProfileValidationError extends SuperdriverError {
+  /**
+   * @param {String} operation Affordance identifier
+   * @param {Array<Object>} errors Elements of the request the profile does not define (`kind` and `identifier`)
+   */
+  constructor(operation, errors) {
+    const summary = errors.map(error => `${error.kind} '${error.identifier}'`).join(', ');
+    super(`request of '${operation}' does not match the profile, unknown ${summary}`, 'INVALID_PROFILE_REQUEST');
+    this.name = 'ProfileValidationError';
+    this.operation = operation;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The semantic profile can not be fetched or is not a valid ALPS document
+ */
+export class ProfileError extends SuperdriverError {
+  /**
+   * @param {String} message Why the profile can't be used
+   */
+  constructor(message) {
+    super(message, 'PROFILE_ERROR');
+    this.name = 'ProfileError';
+  }
+}
+
+/**
+ * Provider response does not conform to the response schema of the mapping
+ */
+export class ResponseValidationError extends SuperdriverError {
+  /**
+   * @param {String} operation Affordance identifier
+   * @param {Array<Object>} errors Errors (`path`, `keyword` and `message`) found in the provider response
+   */
+  constructor(operation, errors) {
+    const summary = errors.slice(0, 3).map(error => `'${error.path || '(root)'}' ${error.message}`).join(', ');
+    super(`response of '${operation}' does not match the mapping: ${summary}`, 'INVALID_RESPONSE');
+    this.name = 'ResponseValidationError';
+    this.operation = operation;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Credentials for the security scheme required by the operation were not provided
+ */
+export class AuthenticationNotConfiguredError extends SuperdriverError {
+  /**
+   * @param {Object} security Security requirement that can't be satisfied
+   */
+  constructor(security) {
+    super(`security '${JSON.stringify(security)}' credentials not provided`, 'AUTHENTICATION_NOT_CONFIGURED');
+    this.name = 'AuthenticationNotConfiguredError';
+    this.security = security;
+  }
+}
+
+/**
+ * Obtaining access with the provided credentials failed, e.g. the OAuth2 token request was rejected
+ */
+export class AuthenticationError extends SuperdriverError {
+  /**
+   * @param {String} message Description of the problem
+   * @param {Number} status HTTP status of the authorization server response
+   * @param {any} detail Body of the authorization server response
+   */
+  constructor(message, status, detail) {
+    super(message, 'AUTHENTICATION_FAILED');
+    this.name = 'AuthenticationError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * The mapping (OpenAPI Specification) is missing, invalid or uses unsupported features
+ */
+export class MappingSpecError extends SuperdriverError {
+  /**
+   * @param {String} message Description of the problem
+   */
+  constructor(message) {
+    super(message, 'MAPPING_SPEC_ERROR');
+    this.name = 'MappingSpecError';
+  }
+}
+
+/**
+ * The provider could not be reached
+ */
+export class ProviderConnectionError extends SuperdriverError {
+  /**
+   * @param {String} message Description of the problem
+   * @param {Error} cause Original error
+   * @param {String} code Optional error code
+   */
+  constructor(message, cause, code) {
+    super(message, code || 'PROVIDER_CONNECTION_ERROR');
+    this.name = 'ProviderConnectionError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * The provider did not respond within the timeout
+ */
+export class ProviderTimeoutError extends ProviderConnectionError {
+  /**
+   * @param {Number} timeout Timeout in milliseconds
+   */
+  constructor(timeout) {
+    super(`request timed out after ${timeout} ms`, undefined, 'PROVIDER_TIMEOUT');
+    this.name = 'ProviderTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// Profile outcomes of the provider error statuses
+const STATUS_OUTCOMES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  405: 'MethodNotAllowed',
+  409: 'Conflict',
+  410: 'Gone',
+  422: 'UnprocessableEntity',
+  429: 'TooManyRequests',
+  500: 'InternalServerError',
+  501: 'NotImplemented',
+  502: 'BadGateway',
+  503: 'ServiceUnavailable',
+  504: 'GatewayTimeout'
+}
+
+/**
+ * The provider responded with a non-2xx status
+ *
+ * The `outcome` is the profile-level name of the error, the same whatever provider responded.
+ * Values mapped from the error response are available as `profileError`.
+ */
+export class ProviderHttpError extends SuperdriverError {
+  /**
+   * @param {Number} status HTTP status code
+   * @param {Object} headers Response headers, keys are lower-cased
+   * @param {Object} problem Parsed response body, RFC 7807 problem detail when provided
+   */
+  constructor(status, headers, problem) {
+    const title = (problem && problem.title) ? `: ${problem.title}` : '';
+    super(`provider responded HTTP ${status}${title}`, 'PROVIDER_HTTP_ERROR');
+    this.name = 'ProviderHttpError';
+    this.status = status;
+    this.headers = headers;
+    this.problem = problem;
+    this.outcome = STATUS_OUTCOMES[status] || (status >= 500 ? 'ServerError' : 'ClientError');
+    this.profileError = null;
+  }
+}
+
+/**
+ * No provider was able to perform the operation
+ */
+export class NoProviderAvailableError extends SuperdriverError {
+  /**
+   * @param {String} operation Affordance identifier
+   * @param {Array<Object>} failures Services tried together with the error they failed with
+   */
+  constructor(operation, failures) {
+    super(`No provider was able to perform '${operation}'`, 'NO_PROVIDER_AVAILABLE');
+    this.name = 'NoProviderAvailableError';
+    this.operation = operation;
+    this.failures = failures;
+  }
+}
+
+/**
+ * The pagination of the provider can't be followed safely, e.g. the next page is on another origin
+ */
+export class PaginationError extends SuperdriverError {
+  /**
+   * @param {String} message Description of the problem
+   */
+  constructor(message) {
+    super(message, 'PAGINATION_ERROR');
+    this.name = 'PaginationError';
+  }
+}
+
+/**
+ * The replayed fetch has no fixture recorded for the request
+ */
+export class FixtureNotFoundError extends SuperdriverError {
+  /**
+   * @param {String} key Method, URL and body of the request
+   */
+  constructor(key) {
+    super(`No fixture recorded for '${key.split('\n')[0]}'`, 'FIXTURE_NOT_FOUND');
+    this.name = 'FixtureNotFoundError';
+    this.key = key;
+  }
+}
+
+/**
+ * Interaction with the service register failed
+ */
+export class RegistryError extends SuperdriverError {
+  /**
+   * @param {String} message Description of the problem
+   * @param {Object} details
+   * @param {String} details.result Result of the register operation, e.g. 'failed' or 'failed-conflict'
+   * @param {Number} details.status HTTP status of the register response
+   * @param {any} details.detail Body of the register response
+   * @param {String} code Optional error code
+   */
+  constructor(message, { result, status, detail } = {}, code) {
+    super(message, code || 'REGISTRY_ERROR');
+    this.name = 'RegistryError';
+    this.result = result;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * The register knows no service for the profile
+ */
+export class ServiceNotFoundError extends RegistryError {
+  /**
+   * @param {String} profileId Profile identifier
+   */
+  constructor(profileId) {
+    super(`No service for profile '${profileId}' found.`, { result: 'not-found' }, 'SERVICE_NOT_FOUND');
+    this.name = 'ServiceNotFoundError';
+    this.profileId = profileId;
+  }
+}
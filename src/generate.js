@@ -0,0 +1,128 @@
+//
+//  Typed client generation
+//  -----------------------
+//
+//  Generates TypeScript source of a client wrapping `perform()` with one method per profile operation:
+//
+//    const client = new WeatherAlertsClient(consumer)
+//    const { title, description } = await client.RetrieveAlert({ addressLocality: 'Paris' })
+//
+//  ALPS does not describe value types, values are typed `unknown` unless `options.types` says otherwise.
+//  Response values are named by the last segment of their identifier when it is unique within the operation.
+//
+import { Profile } from './profile'
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Generate the TypeScript client of the profile
+ *
+ * @param {Profile} profile Loaded profile
+ * @param {Object} options
+ * @param {String} options.name Class name of the client, by default derived from the profile id
+ * @param {String} options.module Module the superdriver types are imported from, defaults to "superdriver"
+ * @param {Object} options.types Optional TypeScript types of the values keyed by their identifier, e.g. { "ActualWeatherAlert/title": "string" }
+ * @returns {String} TypeScript source
+ */
+export function generateClient(profile, options = {}) {
+  if (!(profile instanceof Profile) || !profile.description) {
+    throw new TypeError('generateClient requires a loaded Profile');
+  }
+
+  const name = options.name || `${typeName(profile.profileId.split(/[/#]/).filter(Boolean).pop() || 'Profile')}Client`;
+  const types = options.types || {};
+  const lines = [
+    `// Generated by superdriver from ${profile.profileId}, do not edit`,
+    `import { PerformRequest } from '${options.module || 'superdriver'}'`,
+    '',
+    'export interface Performer {',
+    '  perform(request: PerformRequest): Promise<{ [valueId: string]: any } | null>',
+    '}',
+    ''
+  ];
+
+  const methods = [];
+  for (const operation of profile.operations()) {
+    const operationType = typeName(operation.id);
+
+    // Parameters
+    lines.push(`export interface ${operationType}Parameters {`);
+    for (const input of operation.inputs) {
+      lines.push(...docComment(input.doc, '  '));
+      lines.push(`  ${propertyName(input.name)}?: ${types[input.id] || 'unknown'}`);
+    }
+    lines.push('}', '');
+
+    // Response, values of the return type except the return type itself
+    const outputs = operation.outputs.slice(1);
+    const names = responseNames(outputs);
+    lines.push(`export interface ${operationType}Response {`);
+    for (const output of outputs) {
+      const type = types[output.id] || (output.collection ? 'Array<{ [valueId: string]: unknown }>' : 'unknown');
+      lines.push(...docComment(output.doc, '  '));
+      lines.push(`  ${propertyName(names[output.id])}?: ${type}`);
+    }
+    lines.push('}', '');
+
+    methods.push(
+      ...docComment(operation.doc, '  '),
+      `  async ${propertyName(operation.id)}(parameters: ${operationType}Parameters = {}): Promise<${operationType}Response> {`,
+      `    const names: { [valueId: string]: string } = ${JSON.stringify(names)}`,
+      `    const response = await this.performer.perform({ operation: ${JSON.stringify(operation.id)}, parameters, response: Object.keys(names) }) || {}`,
+      `    const result: { [name: string]: any } = {}`,
+      `    for (const valueId in response) {`,
+      `      result[names[valueId] || valueId] = response[valueId]`,
+      `    }`,
+      `    return result as ${operationType}Response`,
+      `  }`,
+      ''
+    );
+  }
+
+  lines.push(
+    ...docComment(profile.doc, ''),
+    `export class ${name} {`,
+    '  constructor(private performer: Performer) {}',
+    '',
+    ...methods.slice(0, -1),
+    '}',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Names of the response values, the last segment of the identifier when unique
+ *
+ * @param {Array<Object>} outputs Outputs of the operation
+ */
+function responseNames(outputs) {
+  const counts = {};
+  outputs.forEach(output => {
+    const last = output.id.split('/').pop();
+    counts[last] = (counts[last] || 0) + 1;
+  });
+
+  const names = {};
+  outputs.forEach(output => {
+    const last = output.id.split('/').pop();
+    names[output.id] = (counts[last] === 1) ? last : output.id;
+  });
+  return names;
+}
+
+function typeName(identifier) {
+  const name = identifier.replace(/[^A-Za-z0-9_$]+(.)?/g, (m, letter) => letter ? letter.toUpperCase() : '');
+  return /^[0-9]/.test(name) ? `_${name}` : name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function propertyName(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+function docComment(doc, indent) {
+  if (!doc) {
+    return [];
+  }
+  return [`${indent}/** ${doc.replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ').trim()} */`];
+}
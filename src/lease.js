@@ -0,0 +1,235 @@
+//
+//  Service lease
+//  -------------
+//
+//  ServiceLease keeps a provider registered while the process runs. The service is registered with a lease
+//  duration (`ttl`), the registration is renewed on an interval and removed when the process is stopped,
+//  so the register can drop services that crashed once their lease expires.
+//
+//  - an already registered service (409 with `conflictUrl`) is taken over and updated with the descriptor
+//  - a service unknown to the register on renewal (e.g. after a register restart) is registered again
+//  - renewal failures are reported to `onError` and retried on the next interval
+//
+import Debug from 'debug';
+import { RegistryError } from './errors'
+const debug = Debug('superdriver:lease');
+
+const DEFAULT_OPTIONS = {
+  ttl: 60,
+  renewInterval: null,
+  unregisterOnExit: true,
+  exitTimeout: 3000,
+  onRegister: null,
+  onError: null
+}
+
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+export class ServiceLease {
+  /**
+   * Lease-based registration of a service
+   *
+   * @param {Register} register Register the service is registered at
+   * @param {Object} service Service details, see Register.registerService()
+   * @param {Object} options
+   * @param {Number} options.ttl Lease duration in seconds, defaults to 60
+   * @param {Number} options.renewInterval Time in milliseconds between renewals, defaults to half of the lease duration
+   * @param {Boolean} options.unregisterOnExit Unregister the service on SIGINT and SIGTERM (Node.js only), defaults to true
+   * @param {Number} options.exitTimeout Time in milliseconds the process waits for the unregistration on exit, defaults to 3000
+   * @param {Function} options.onRegister Optional callback called with the service whenever it is (re-)registered
+   * @param {Function} options.onError Optional callback called with the errors of renewals
+   */
+  constructor(register, service, options) {
+    this.register = register;
+    this.descriptor = service;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.service = null;
+    this.location = null;
+    this.timer = null;
+    this.renewing = null;
+    this.started = null;
+    this.exitHandlers = [];
+  }
+
+  /**
+   * Register the service and start renewing the lease, calls on a started lease return the same registration
+   *
+   * @returns {Promise<Object>} Representation of the registered service, with its `expiresAt` date when reported by the register
+   */
+  async start() {
+    if (!this.started) {
+      this.started = this.begin();
+      this.started.catch(() => { this.started = null; });
+    }
+    return this.started;
+  }
+
+  async begin() {
+    await this.acquire();
+
+    const interval = this.options.renewInterval || this.options.ttl * 500;
+    this.timer = setInterval(() => {
+      if (!this.renewing) {
+        this.renewing = this.renew()
+          .catch(e => this.failed(e))
+          .finally(() => { this.renewing = null; });
+      }
+    }, interval);
+    // Do not keep the process running just for the renewals
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    if (this.options.unregisterOnExit) {
+      this.handleExit();
+    }
+    return this.service;
+  }
+
+  /**
+   * Renew the lease, the service is registered again when the register does not know it
+   *
+   * @returns {Promise<Object>} Representation of the service
+   */
+  async renew() {
+    if (!this.location) {
+      return this.acquire();
+    }
+
+    debug('renewing lease of', this.location);
+    try {
+      this.update(await this.register.updateService(this.location, { ttl: this.options.ttl }));
+    }
+    catch (e) {
+      if (e instanceof RegistryError && (e.status === 404 || e.status === 410)) {
+        debug(`  ${this.location} is not registered anymore, registering again`);
+        this.location = null;
+        return this.acquire();
+      }
+      throw e;
+    }
+    return this.service;
+  }
+
+  /**
+   * Stop renewing the lease and unregister the service
+   */
+  async stop() {
+    // A start in progress completes first so its registration and renewals are torn down too
+    if (this.started) {
+      await this.started.catch(() => {});
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.started = null;
+    this.removeExitHandlers();
+    if (this.renewing) {
+      await this.renewing;
+    }
+
+    if (!this.location) {
+      return;
+    }
+    const location = this.location;
+    this.location = null;
+    try {
+      await this.register.unregisterService({ serviceUrl: location });
+    }
+    catch (e) {
+      // Expired already
+      if (!(e instanceof RegistryError && (e.status === 404 || e.status === 410))) {
+        throw e;
+      }
+    }
+  }
+
+  /**
+   * Register the service, a conflicting registration is taken over
+   */
+  async acquire() {
+    const descriptor = Object.assign({}, this.descriptor, { ttl: this.options.ttl });
+    const registration = await this.register.registerService(descriptor);
+    if (!registration.location) {
+      throw new RegistryError('The register did not return the location of the registered service', { result: 'failed', detail: registration.service });
+    }
+
+    this.location = registration.location;
+    if (registration.result === 'conflict') {
+      debug('service already registered at', this.location);
+      this.update(await this.register.updateService(this.location, descriptor));
+    }
+    else {
+      this.update(registration.service);
+    }
+
+    if (this.options.onRegister) {
+      this.options.onRegister(this.service);
+    }
+    return this.service;
+  }
+
+  update(service) {
+    this.service = Object.assign({}, service, { expiresAt: expiryOf(service) });
+  }
+
+  failed(error) {
+    debug('lease renewal failed:', error.message);
+    if (this.options.onError) {
+      // A failing callback must not stop the renewals
+      try {
+        this.options.onError(error);
+      }
+      catch (e) {
+        debug('onError callback failed:', e.message);
+      }
+    }
+  }
+
+  handleExit() {
+    if (typeof process === 'undefined' || typeof process.once !== 'function') {
+      return;
+    }
+
+    EXIT_SIGNALS.forEach(signal => {
+      const handler = () => {
+        // The process exits even when the register does not respond
+        let timeout;
+        const expired = new Promise(resolve => {
+          timeout = setTimeout(() => resolve(debug('unregistering on exit timed out')), this.options.exitTimeout);
+        });
+        const stopped = this.stop().catch(e => debug('unregistering on exit failed:', e.message));
+        Promise.race([stopped, expired])
+          .then(() => {
+            clearTimeout(timeout);
+            process.kill(process.pid, signal);
+          });
+      };
+      process.once(signal, handler);
+      this.exitHandlers.push([signal, handler]);
+    });
+  }
+
+  removeExitHandlers() {
+    this.exitHandlers.forEach(([signal, handler]) => process.removeListener(signal, handler));
+    this.exitHandlers = [];
+  }
+}
+
+/**
+ * Expiry of the lease reported by the register, `expiresAt` / `expires` date or `ttl` seconds
+ *
+ * @param {Object} service Representation of the service
+ * @returns {Date} Expiry date or null when not reported
+ */
+function expiryOf(service) {
+  const value = service && (service.expiresAt || service.expires);
+  if (value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  if (service && typeof service.ttl === 'number') {
+    return new Date(Date.now() + service.ttl * 1000);
+  }
+  return null;
+}
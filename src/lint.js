@@ -0,0 +1,320 @@
+//
+//  Mapping linter
+//  --------------
+//
+//  Checks the `x-profile` annotations of an OAS document against the ALPS profile it maps, so the mistakes
+//  surface before runtime. Every issue has a `severity` ('error' or 'warning'), a machine-readable `code`,
+//  a `message` and the JSON `pointer` of the offending OAS element.
+//
+import * as mapping from './util/mappingSpec'
+import { traverseMapping } from './util/map'
+import { selectMediaType } from './util/body'
+import { selectResponseMediaType } from './util/mediaTypes'
+import { parseAlps, describeProfile } from './util/alps'
+import { loadSpecification } from './specification'
+import { Profile } from './profile'
+import { ProfileError } from './errors'
+
+const SUPER_SOURCES = Object.keys(mapping.OAS_SOURCE)
+  .reduce((sources, kind) => sources.concat(Object.values(mapping.OAS_SOURCE[kind])), []);
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Lint the mapping of the profile
+ *
+ * @param {Object|String} oas OAS document, object, file path or YAML / JSON text
+ * @param {Profile|Object|String} profile Profile or ALPS profile document, object or JSON / XML text
+ * @param {Object} options
+ * @param {String} options.profileId Profile identifier, by default taken from the operation mappings
+ * @returns {Promise<Object>} Result with the `issues` found, `valid` when there is no error
+ */
+export async function lintMapping(oas, profile, options = {}) {
+  const specification = await loadSpecification(oas);
+  let description = (profile instanceof Profile) && (await profile.fetchProfile()).description;
+  try {
+    description = description || describeProfile(parseAlps(profile));
+  }
+  catch (e) {
+    throw new ProfileError(`profile is not a valid ALPS document: ${e.message}`);
+  }
+  const operations = mappedOperations(specification);
+  const profileId = options.profileId || (profile instanceof Profile && profile.profileId) || inferProfileId(operations);
+
+  const issues = [];
+  const report = (severity, code, pointer, message) => issues.push({ severity, code, pointer, message });
+  const localId = (identifier) => {
+    const prefix = `${profileId}#`;
+    return (identifier && identifier.startsWith(prefix)) ? identifier.slice(prefix.length) : null;
+  };
+
+  // Operations
+  const mappedAffordances = {};
+  for (const { pointer, operation } of operations) {
+    const profileValue = operation[mapping.OAS_PROFILE_KEY];
+    if (!profileValue) continue;
+
+    const affordanceId = localId(profileValue);
+    if (!affordanceId || !(affordanceId in description.operations)) {
+      report('error', 'UNKNOWN_PROFILE_ID', pointer, `operation maps unknown affordance '${profileValue}'`);
+      continue;
+    }
+    if (affordanceId in mappedAffordances) {
+      report('error', 'CONFLICTING_MAPPING', pointer, `affordance '${affordanceId}' is already mapped by ${mappedAffordances[affordanceId]}`);
+      continue;
+    }
+    mappedAffordances[affordanceId] = pointer;
+
+    lintOperation(operation, pointer, description.operations[affordanceId], { description, localId, report });
+  }
+
+  for (const affordanceId in description.operations) {
+    if (!(affordanceId in mappedAffordances)) {
+      report('warning', 'UNMAPPED_AFFORDANCE', '', `affordance '${affordanceId}' is not mapped by any operation`);
+    }
+  }
+
+  lintSecurity(specification, report);
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  return {
+    valid: errors === 0,
+    profileId,
+    errors,
+    warnings: issues.length - errors,
+    issues
+  };
+}
+
+/**
+ * Lint the mapping of one operation
+ *
+ * @param {Object} operation OAS operation
+ * @param {String} pointer JSON pointer of the operation
+ * @param {Object} affordance Affordance described by describeProfile()
+ * @param {Object} context Profile description, `localId` and `report` functions
+ */
+function lintOperation(operation, pointer, affordance, context) {
+  const { description, localId, report } = context;
+  const mappedInputs = new Set();
+
+  const checkInput = (profileValue, inputPointer) => {
+    const identifier = localId(profileValue);
+    // Referenced inputs can be mapped by the id of the referenced descriptor too, as perform() accepts
+    const input = identifier && affordance.inputs.find(input => input.id === identifier || input.ref === identifier);
+    if (input) {
+      mappedInputs.add(input.id);
+    }
+    else if (identifier && description.identifiers.has(identifier)) {
+      report('warning', 'NOT_AN_INPUT', inputPointer, `'${profileValue}' is not an input of '${affordance.id}'`);
+    }
+    else {
+      report('error', 'UNKNOWN_PROFILE_ID', inputPointer, `input maps unknown profile id '${profileValue}'`);
+    }
+  };
+
+  // Parameters
+  (operation.parameters || []).forEach((parameter, index) => {
+    const parameterPointer = `${pointer}/parameters/${index}`;
+    if (parameter[mapping.OAS_PROFILE_KEY]) {
+      checkInput(parameter[mapping.OAS_PROFILE_KEY], parameterPointer);
+    }
+    if (parameter[mapping.OAS_SUPER_KEY]) {
+      lintSuper(parameter[mapping.OAS_SUPER_KEY], parameterPointer, report);
+    }
+  });
+
+  // Request body
+  if (operation.requestBody) {
+    const content = operation.requestBody.content || {};
+    const mediaType = selectMediaType(content);
+    if (!mediaType) {
+      report('error', 'UNSUPPORTED_MEDIA_TYPE', `${pointer}/requestBody`, `none of the request media types ${Object.keys(content).join(', ')} is supported`);
+    }
+    else {
+      walkSchema(content[mediaType].schema, `${pointer}/requestBody/content/${escape(mediaType)}/schema`, (schema, schemaPointer) => {
+        if (schema[mapping.OAS_PROFILE_KEY]) {
+          checkInput(schema[mapping.OAS_PROFILE_KEY], schemaPointer);
+        }
+        if (schema[mapping.OAS_SUPER_KEY]) {
+          lintSuper(schema[mapping.OAS_SUPER_KEY], schemaPointer, report);
+        }
+      });
+    }
+  }
+
+  for (const input of affordance.inputs) {
+    if (!mappedInputs.has(input.id)) {
+      report('warning', 'UNMAPPED_DESCRIPTOR', pointer, `input '${input.id}' is not mapped by any parameter or request body property`);
+    }
+  }
+
+  // Responses
+  const mappedOutputs = new Set();
+  for (const status in operation.responses || {}) {
+    const content = operation.responses[status].content;
+    if (!content) continue;
+
+    const responsePointer = `${pointer}/responses/${status}`;
+    const mediaType = selectResponseMediaType(content);
+    if (!mediaType) {
+      const severity = (status[0] === '2') ? 'error' : 'warning';
+      report(severity, 'UNSUPPORTED_MEDIA_TYPE', responsePointer, `none of the response media types ${Object.keys(content).join(', ')} can be parsed`);
+      continue;
+    }
+    if (!content[mediaType].schema) continue;
+
+    const entries = traverseMapping(content[mediaType].schema, [''], [], {});
+    const unconditional = {};
+    for (const entry of entries) {
+      const identifier = localId(entry.profileId);
+      if (!identifier || !description.identifiers.has(identifier)) {
+        report('error', 'UNKNOWN_PROFILE_ID', responsePointer, `response value '${entry.cursor.join('.') || '(root)'}' maps unknown profile id '${entry.profileId}'`);
+        continue;
+      }
+      if (status[0] === '2') {
+        mappedOutputs.add(identifier);
+      }
+
+      // The same value mapped twice outside of alternatives (oneOf, anyOf), only one of them is used
+      if (!entry.conditions || !entry.conditions.length) {
+        const key = `${entry.profileId} ${JSON.stringify(entry.collections)}`;
+        if (key in unconditional && unconditional[key] !== entry.cursor.join('.')) {
+          report('warning', 'CONFLICTING_MAPPING', responsePointer, `'${entry.profileId}' is mapped by both '${unconditional[key]}' and '${entry.cursor.join('.')}'`);
+        }
+        unconditional[key] = entry.cursor.join('.');
+      }
+    }
+  }
+
+  for (const output of affordance.outputs) {
+    if (!output.collection && !mappedOutputs.has(output.id)) {
+      report('warning', 'UNMAPPED_DESCRIPTOR', pointer, `output '${output.id}' is not mapped by any successful response`);
+    }
+  }
+
+  // Pagination
+  const superMetadata = operation[mapping.OAS_SUPER_KEY];
+  if (superMetadata && superMetadata[mapping.OAS_SUPER_PAGINATION_KEY]) {
+    lintPagination(superMetadata[mapping.OAS_SUPER_PAGINATION_KEY], `${pointer}/${mapping.OAS_SUPER_KEY}`, report);
+  }
+}
+
+/**
+ * Lint the super metadata of a parameter or body property
+ */
+function lintSuper(definition, pointer, report) {
+  if (mapping.OAS_SUPER_SOURCE_KEY in definition) {
+    if (!SUPER_SOURCES.includes(definition[mapping.OAS_SUPER_SOURCE_KEY])) {
+      report('error', 'UNSUPPORTED_SUPER_SOURCE', pointer, `unsupported source '${definition[mapping.OAS_SUPER_SOURCE_KEY]}', use one of ${SUPER_SOURCES.join(', ')}`);
+    }
+  }
+  else if (!(mapping.OAS_SUPER_VALUE_KEY in definition)) {
+    report('error', 'UNSUPPORTED_SUPER_SOURCE', pointer, `${mapping.OAS_SUPER_KEY} has neither '${mapping.OAS_SUPER_SOURCE_KEY}' nor '${mapping.OAS_SUPER_VALUE_KEY}'`);
+  }
+}
+
+/**
+ * Lint the pagination description, see util/pagination.js
+ */
+function lintPagination(pagination, pointer, report) {
+  const type = pagination.type || 'link';
+  if (!mapping.PAGINATION_TYPES.includes(type)) {
+    report('error', 'INVALID_PAGINATION', pointer, `unsupported pagination type '${type}', use one of ${mapping.PAGINATION_TYPES.join(', ')}`);
+  }
+  else if (type === 'cursor' && !pagination.cursor) {
+    report('error', 'INVALID_PAGINATION', pointer, `cursor pagination requires the 'cursor' path`);
+  }
+  else if (type === 'url' && !pagination.next) {
+    report('error', 'INVALID_PAGINATION', pointer, `url pagination requires the 'next' path`);
+  }
+}
+
+/**
+ * Lint the security schemes, see security.js for the supported ones
+ */
+function lintSecurity(specification, report) {
+  const schemes = (specification.components && specification.components.securitySchemes) || {};
+  for (const id in schemes) {
+    const scheme = schemes[id];
+    const pointer = `#/components/securitySchemes/${escape(id)}`;
+    const httpScheme = (scheme.scheme || '').toLowerCase();
+
+    if (scheme.type === 'http' && httpScheme !== 'basic' && httpScheme !== 'bearer') {
+      report('error', 'UNSUPPORTED_SECURITY', pointer, `HTTP authentication scheme '${scheme.scheme}' is not supported`);
+    }
+    else if (scheme.type === 'apiKey' && !['query', 'header', 'cookie'].includes(scheme.in)) {
+      report('error', 'UNSUPPORTED_SECURITY', pointer, `API key in '${scheme.in}' is not supported`);
+    }
+    else if (scheme.type === 'oauth2' && !(scheme.flows && scheme.flows.clientCredentials)) {
+      report('warning', 'UNSUPPORTED_SECURITY', pointer, `only the client credentials flow is supported, other flows require an access token`);
+    }
+    else if (scheme.type === 'openIdConnect') {
+      report('warning', 'UNSUPPORTED_SECURITY', pointer, `OpenID Connect requires an access token`);
+    }
+    else if (!['http', 'apiKey', 'oauth2', 'openIdConnect'].includes(scheme.type)) {
+      report('error', 'UNSUPPORTED_SECURITY', pointer, `security scheme type '${scheme.type}' is not supported`);
+    }
+  }
+}
+
+/**
+ * Operations of the specification with their JSON pointers
+ */
+function mappedOperations(specification) {
+  const operations = [];
+  for (const path in specification.paths || {}) {
+    for (const method in specification.paths[path]) {
+      if (OPERATION_METHODS.includes(method)) {
+        operations.push({ pointer: `#/paths/${escape(path)}/${method}`, operation: specification.paths[path][method] });
+      }
+    }
+  }
+  return operations;
+}
+
+/**
+ * Profile id most operations are mapped to
+ */
+function inferProfileId(operations) {
+  const counts = {};
+  for (const { operation } of operations) {
+    const profileValue = operation[mapping.OAS_PROFILE_KEY];
+    if (profileValue && profileValue.includes('#')) {
+      const profileId = profileValue.slice(0, profileValue.indexOf('#'));
+      counts[profileId] = (counts[profileId] || 0) + 1;
+    }
+  }
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+}
+
+/**
+ * Walk the schema and its subschemas, circular schemas are visited once
+ */
+function walkSchema(schema, pointer, visit, visited = new Set()) {
+  if (!schema || typeof schema !== 'object' || visited.has(schema)) {
+    return;
+  }
+  visited.add(schema);
+  visit(schema, pointer);
+
+  for (const name in schema.properties || {}) {
+    walkSchema(schema.properties[name], `${pointer}/properties/${escape(name)}`, visit, visited);
+  }
+  if (schema.items) {
+    walkSchema(schema.items, `${pointer}/items`, visit, visited);
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    walkSchema(schema.additionalProperties, `${pointer}/additionalProperties`, visit, visited);
+  }
+  for (const keyword of ['allOf', 'oneOf', 'anyOf']) {
+    (schema[keyword] || []).forEach((subschema, index) => walkSchema(subschema, `${pointer}/${keyword}/${index}`, visit, visited));
+  }
+}
+
+/**
+ * Escape JSON pointer token
+ */
+function escape(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
@@ -0,0 +1,87 @@
+//
+//  Middleware
+//  ----------
+//
+//  Middleware hooks into the stages of Consumer.perform(), any of the hooks can be async:
+//
+//  {
+//    beforeBuild(request, context),          // profile request before the HTTP request is built, may return a new one
+//    afterBuild(httpRequest, context),       // built HTTP request (url, method, query, headers, body), may return a new one
+//    execute(httpRequest, next, context),    // around the HTTP call, resolves to the response of next(httpRequest)
+//    afterNormalize(result, context)         // result translated to the profile, may return a new one
+//  }
+//
+//  The context carries the `consumer`, the profile `request`, the `operation` found in the mapping and `state`,
+//  an object the middleware can keep its data in for the time of the call.
+//
+//  Global middleware runs before the consumer's own, in the order of registration.
+//
+const globalMiddleware = [];
+
+/**
+ * Register middleware used by all consumers
+ *
+ * @param {Object} middleware Object with any of the `beforeBuild`, `afterBuild`, `execute` and `afterNormalize` hooks
+ * @returns {Function} Function removing the middleware
+ */
+function useMiddleware(middleware) {
+  globalMiddleware.push(middleware);
+  return () => {
+    const index = globalMiddleware.indexOf(middleware);
+    if (index >= 0) {
+      globalMiddleware.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Global middleware followed by the given one
+ *
+ * @param {Array<Object>} middleware Middleware of the consumer
+ */
+function middlewareChain(middleware) {
+  return globalMiddleware.concat(middleware);
+}
+
+/**
+ * Run the stage hooks of the middleware in order, each may replace the value
+ *
+ * @param {Array<Object>} chain Middleware
+ * @param {String} stage Hook name, `beforeBuild`, `afterBuild` or `afterNormalize`
+ * @param {any} value Value passed to the first hook
+ * @param {Object} context Context of the call
+ * @returns {Promise<any>} Value returned by the last hook
+ */
+async function runStage(chain, stage, value, context) {
+  let result = value;
+  for (const middleware of chain) {
+    if (typeof middleware[stage] === 'function') {
+      const returned = await middleware[stage](result, context);
+      if (returned !== undefined) {
+        result = returned;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Wrap the HTTP call by the `execute` hooks, the first middleware is the outermost
+ *
+ * @param {Array<Object>} chain Middleware
+ * @param {Function} execute Function of (httpRequest) making the call
+ * @param {Object} context Context of the call
+ * @returns {Function} Function of (httpRequest) resolving to the response
+ */
+function wrapExecute(chain, execute, context) {
+  return chain
+    .filter(middleware => typeof middleware.execute === 'function')
+    .reduceRight((next, middleware) => (httpRequest) => middleware.execute(httpRequest, next, context), execute);
+}
+
+export {
+  useMiddleware,
+  middlewareChain,
+  runStage,
+  wrapExecute
+}
@@ -0,0 +1,150 @@
+import Debug from 'debug';
+import fetch from 'isomorphic-fetch'
+import { parseAlps, describeProfile } from './util/alps'
+import { ProfileError, ProfileValidationError } from './errors'
+
+const debug = Debug('superdriver:profile');
+
+const DEFAULT_OPTIONS = {
+  fetch: fetch
+}
+
+export class Profile {
+  /**
+   * ALPS profile
+   *
+   * @param {String} profileId Profile identifier, the URL the ALPS document is fetched from
+   * @param {Object|String} document Optional ALPS document (object or JSON / XML text), fetched when not provided
+   * @param {Object} options
+   * @param {Function} options.fetch custom implementation of fetch
+   */
+  constructor(profileId, document, options) {
+    this.profileId = profileId;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options)
+    if (document) {
+      this.parse(document);
+    }
+  }
+
+  /**
+   * Fetch and parse the profile
+   *
+   * @param {String} profileId Profile identifier, the URL of the ALPS document
+   * @param {Object} options See constructor
+   * @returns {Promise<Profile>}
+   */
+  static async load(profileId, options) {
+    const profile = new Profile(profileId, null, options);
+    await profile.fetchProfile();
+    return profile;
+  }
+
+  /**
+   * Fetch the ALPS document from the profile URL (if not already)
+   */
+  async fetchProfile() {
+    if (!this.alps) {
+      debug(`fetching profile ${this.profileId}`);
+      const response = await this.options.fetch(this.profileId, {
+        headers: {
+          'Accept': 'application/alps+json, application/json;q=0.9, application/alps+xml;q=0.8, application/xml;q=0.7'
+        }
+      })
+
+      if (!response.ok) {
+        throw new ProfileError(`profile '${this.profileId}' can not be fetched, HTTP ${response.status}`);
+      }
+      this.parse(await response.text());
+    }
+
+    return this;
+  }
+
+  //
+  // Parse the ALPS document and describe its operations
+  //
+  parse(document) {
+    try {
+      this.alps = parseAlps(document);
+    }
+    catch (e) {
+      throw new ProfileError(`profile '${this.profileId}' is not a valid ALPS document: ${e.message}`);
+    }
+    this.description = describeProfile(this.alps);
+    debug(`  profile operations: ${Object.keys(this.description.operations).join(', ')}`);
+  }
+
+  /**
+   * Documentation of the profile
+   */
+  get doc() {
+    return this.alps.doc;
+  }
+
+  /**
+   * Operations of the profile with their `type`, `doc`, `inputs` and `outputs`
+   *
+   * @returns {Array<Object>}
+   */
+  operations() {
+    return Object.values(this.description.operations);
+  }
+
+  /**
+   * Operation of the profile
+   *
+   * @param {String} operationId Affordance identifier, e.g. "RetrieveAlert"
+   * @returns {Object} Operation with its `type`, `doc`, `inputs` and `outputs`, undefined when not defined
+   */
+  operation(operationId) {
+    return this.description.operations[operationId];
+  }
+
+  /**
+   * Check the request against the profile
+   *
+   * The operation has to be an affordance of the profile, parameters its inputs (referenced inputs also by the
+   * id of the referenced descriptor) and the requested response values its outputs. Identifiers of other profiles can not be checked and are accepted.
+   *
+   * @param {Object} request Request object for the affordance to perform, see Consumer.perform()
+   * @throws {ProfileValidationError}
+   */
+  validateRequest(request) {
+    const operation = this.operation(request.operation);
+    if (!operation) {
+      throw new ProfileValidationError(request.operation, [{ kind: 'operation', identifier: request.operation }]);
+    }
+
+    const errors = [];
+    for (const parameterId in request.parameters || {}) {
+      const identifier = this.localIdentifier(parameterId, `${operation.id}/`);
+      if (identifier !== null && !operation.inputs.some(input => input.id === identifier || input.ref === identifier)) {
+        errors.push({ kind: 'input', identifier: parameterId });
+      }
+    }
+
+    const outputs = operation.outputs.length ? operation.outputs.map(output => output.id) : null;
+    for (const valueId of request.response || []) {
+      const identifier = this.localIdentifier(valueId, '');
+      if (identifier !== null && !(outputs ? outputs.includes(identifier) : this.description.identifiers.has(identifier))) {
+        errors.push({ kind: 'response', identifier: valueId });
+      }
+    }
+
+    if (errors.length) {
+      throw new ProfileValidationError(request.operation, errors);
+    }
+  }
+
+  //
+  // Identifier within the profile, null for identifiers of other profiles
+  //
+  localIdentifier(identifier, scope) {
+    if (!identifier.startsWith('http')) {
+      return `${scope}${identifier}`;
+    }
+
+    const prefix = `${this.profileId}#`;
+    return identifier.startsWith(prefix) ? identifier.slice(prefix.length) : null;
+  }
+}
@@ -1,52 +1,128 @@
 import fetch from 'isomorphic-fetch';
 import Debug from 'debug';
+import { RegistryError, ServiceNotFoundError } from './errors'
+import { parseLinkHeader } from './util/pagination'
 const debug = Debug('superdriver:register');
 
 const CONFLICT_RELATION_KEY = 'conflictUrl';
+const SERVICES_KEY = 'disco';
+
+// Properties of a service descriptor sent to the register
+const DESCRIPTOR_PROPERTIES = [
+  'serviceUrl',
+  'mappingUrl',
+  'semanticProfile',
+  'name',
+  'description',
+  'version',
+  'profileVersions',
+  'metadata',
+  'tags',
+  'ttl'
+];
 
 const DEFAULT_OPTIONS = {
-  fetch: fetch
+  fetch: fetch,
+  registryPath: '/api/registry',
+  authentication: null,
+  pageSize: 20
 }
 
 export class Register {
   /**
    * Service Register proxy
    *
+   * Write operations (register, update and unregister) are authenticated with the credentials, when configured:
+   *
+   *   { bearer: { token } }                        // Authorization: Bearer <token>
+   *   { apikey: { key, in, name } }                // API key in the `X-API-Key` header by default, `in` can be 'header' or 'query'
+   *
    * @param {String} registerUrl URL of the register to use
    * @param {Object} options
    * @param {Function} options.fetch custom implementation of fetch
+   * @param {String} options.registryPath Path of the services collection, defaults to '/api/registry'
+   * @param {Object} options.authentication Optional credentials for write operations
+   * @param {Number} options.pageSize Default number of services per page of listServices()
    */
   constructor(registerUrl, options) {
     this.registerUrl = registerUrl;
-    this.options     = Object.assign(DEFAULT_OPTIONS, options)
+    this.options     = Object.assign({}, DEFAULT_OPTIONS, options)
   }
 
   /**
    * Find services in the register that conform to a profile
    *
    * @param {String} profileId Id of the profile the matching sarvice has to support
+   * @param {Object} filters Optional `metadata` and `tags` filters, see listServices()
    */
-  async findServices(profileId) {
-    const response = await this.options.fetch(
-      `${this.registerUrl}/api/registry?semanticProfile=${encodeURIComponent(profileId)}`,  // TODO: use superdriver instead of hard-coding URLs
-      {
-        headers: {
-          'Accept': 'application/json'
-        },
-        redirect: 'follow',
-      }
-    )
-
-    const body = await response.json()
-    const services = body['disco'];
+  async findServices(profileId, filters = {}) {
+    const query = servicesQuery(Object.assign({}, filters, { profile: profileId }));
+    const { response, body } = await this.request('GET', `${this.options.registryPath}?${query.join('&')}`);
+    if (!response.ok) {
+      return Promise.reject(new RegistryError(`Services lookup failed with HTTP ${response.status}`, { result: 'failed', status: response.status, detail: body }))
+    }
 
+    const services = body && body[SERVICES_KEY];
     if (!services || !services.length) {
-      return Promise.reject(`No service for profile '${profileId}' found.`)
+      return Promise.reject(new ServiceNotFoundError(profileId))
     }
 
     return services;
   }
 
+  /**
+   * List a page of the services in the register
+   *
+   * @param {Object} filters
+   * @param {String} filters.profile Optional id of the profile the services have to support
+   * @param {Object} filters.metadata Optional provider metadata the services have to match, e.g. { region: 'eu' }
+   * @param {Array<String>} filters.tags Optional tags the services have to carry
+   * @param {Number} filters.page Page number starting at 1
+   * @param {Number} filters.limit Number of services per page
+   * @returns {Promise<Object>} Page with the `services`, `page`, `limit`, `total` when known and the `next` page number or null
+   */
+  async listServices(filters = {}) {
+    const page = filters.page || 1;
+    const limit = filters.limit || this.options.pageSize;
+    const query = servicesQuery(Object.assign({}, filters, { page, limit }));
+
+    const { response, body } = await this.request('GET', `${this.options.registryPath}?${query.join('&')}`);
+    if (!response.ok) {
+      return Promise.reject(new RegistryError(`Services listing failed with HTTP ${response.status}`, { result: 'failed', status: response.status, detail: body }))
+    }
+
+    const services = (body && body[SERVICES_KEY]) || [];
+    const total = (body && typeof body.total === 'number') ? body.total : undefined;
+    let hasNext;
+    if (parseLinkHeader(response.headers && response.headers.get('link')).next || (body && body.next)) {
+      hasNext = true;
+    }
+    else if (total !== undefined) {
+      hasNext = page * limit < total;
+    }
+    else {
+      hasNext = services.length === limit;
+    }
+
+    return { services, page, limit, total, next: hasNext ? page + 1 : null };
+  }
+
+  /**
+   * Get a service registered in the register
+   *
+   * @param {String} location Path of the service in the register, e.g. the `conflictUrl` of a registration, or its absolute URL
+   * @returns {Promise<Object>} Representation of the service
+   */
+  async getService(location) {
+    debug('fetching service', location)
+    const { response, body } = await this.request('GET', location);
+    if (!response.ok) {
+      return Promise.reject(new RegistryError(`Fetching service failed with HTTP ${response.status}`, { result: 'failed', status: response.status, detail: body }))
+    }
+
+    return body;
+  }
+
   /**
    * Register a new service at the registry
    *
@@ -54,91 +130,212 @@ export class Register {
    * @param {string} param0.serviceUrl Url of the service being registered
    * @param {string} param0.mappingUrl Url of the mapping for the registered service
    * @param {string} param0.semanticProfile Id of the semantic profile
-   * @returns {object} Representation of registered service
+   * @param {string} param0.name Optional name of the service
+   * @param {string} param0.description Optional description of the service
+   * @param {string} param0.version Optional version of the service
+   * @param {Array<string>} param0.profileVersions Optional versions of the profile the service supports
+   * @param {Object} param0.metadata Optional provider metadata, e.g. { region: 'eu' }
+   * @param {Array<string>} param0.tags Optional tags
+   * @param {number} param0.ttl Optional lease duration in seconds, see ServiceLease
+   * @returns {object} Result, representation of registered service and its `location` in the register when known
    */
-  async registerService({ serviceUrl, mappingUrl, semanticProfile }) {
-    debug('registering service', serviceUrl)
-    const response = await this.options.fetch(
-      `${this.registerUrl}/api/registry`,
-      {
-        method: 'POST',
-        cache: 'no-cache',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        redirect: 'follow',
-        body: JSON.stringify({ serviceUrl, mappingUrl, semanticProfile })
-      }
-    )
+  async registerService(service) {
+    debug('registering service', service.serviceUrl)
+    const { response, body } = await this.request('POST', this.options.registryPath, descriptor(service));
 
-    const body = await response.json()
     // Return created service
     if (response.ok) {
       return {
         result: 'created',
-        service: body
+        service: body,
+        location: this.serviceLocation(response, body)
       };
     }
 
     // Handle conflicts
-    if (response.status == 409 && (CONFLICT_RELATION_KEY in body)) {
+    if (response.status == 409 && body && (CONFLICT_RELATION_KEY in body)) {
       const conflictUrl = body[CONFLICT_RELATION_KEY]
       if (!conflictUrl) {
-        return Promise.reject({ result: 'failed', status: response.status, detail: body })
+        return Promise.reject(new RegistryError(`Service registration failed with HTTP ${response.status}`, { result: 'failed', status: response.status, detail: body }))
       }
 
       // Fetch conflicting service
       debug('fetching conflicting service ', conflictUrl)
-      const conflictResponse = await this.options.fetch(
-        `${this.registerUrl}${conflictUrl}`,
-        {
-          headers: {
-            'Accept': 'application/json'
-          },
-          redirect: 'follow',
-        }
-      )
-      // Return created service
-      const conflictBody = await conflictResponse.json()
-      if (conflictResponse.ok) {
+      const conflict = await this.request('GET', conflictUrl);
+      if (conflict.response.ok) {
         return {
           result: 'conflict',
-          service: conflictBody
+          service: conflict.body,
+          location: conflictUrl
         };
       }
 
-      return Promise.reject({ result: 'failed-conflict', status: conflictResponse.status, detail: conflictBody })
+      return Promise.reject(new RegistryError(`Fetching conflicting service failed with HTTP ${conflict.response.status}`, { result: 'failed-conflict', status: conflict.response.status, detail: conflict.body }))
     }
 
-    return Promise.reject({ result: 'failed', status: response.status, detail: body })
+    return Promise.reject(registryFailure('Service registration', response, body))
+  }
+
+  /**
+   * Update a registered service
+   *
+   * @param {String} location Path of the service in the register or its absolute URL
+   * @param {Object} changes Service details to change, see registerService()
+   * @returns {Promise<Object>} Representation of the updated service
+   */
+  async updateService(location, changes) {
+    debug('updating service', location)
+    const { response, body } = await this.request('PATCH', location, descriptor(changes));
+    if (response.ok) {
+      return body;
+    }
+
+    return Promise.reject(registryFailure('Service update', response, body))
   }
 
   /**
    *  Unregister a previous registered service
    *
    * @param {Object} param0 Service details
+   * @param {string} param0.serviceUrl Path of the service in the register or its absolute URL
    */
   async unregisterService({ serviceUrl }) {
     debug('unregistering service', serviceUrl)
 
-    const response = await this.options.fetch(
-      `${this.registerUrl}${serviceUrl}`,
-      {
-        method: 'DELETE',
-        cache: 'no-cache',
-        headers: {
-          'Accept': 'application/json'
-        },
-        redirect: 'follow'
-      }
-    )
-
+    const { response, body } = await this.request('DELETE', serviceUrl);
     if (response.ok) {
       return
     }
 
-    const body = await response.json()
-    return Promise.reject({ result: 'failed', status: response.status, detail: body })
+    return Promise.reject(registryFailure('Service unregistration', response, body))
+  }
+
+  /**
+   * Location of a created service, the `Location` header or the services collection path with its `id`
+   *
+   * @param {Object} response Register response
+   * @param {Object} body Representation of the service
+   */
+  serviceLocation(response, body) {
+    const location = response.headers && response.headers.get('location');
+    if (location) {
+      return location;
+    }
+    if (body && body.id !== undefined) {
+      return `${this.options.registryPath}/${encodeURIComponent(body.id)}`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Make a request to the register, write requests are authenticated
+   *
+   * @param {String} method HTTP method
+   * @param {String} location Path in the register or absolute URL
+   * @param {Object} payload Optional JSON body
+   * @returns {Promise<Object>} The `response` and its parsed `body`, undefined when empty or not JSON
+   */
+  async request(method, location, payload) {
+    let url = /^[a-z][a-z0-9+.-]*:/i.test(location) ? location : `${this.registerUrl}${location}`;
+    const headers = {
+      'Accept': 'application/json'
+    };
+    const init = {
+      method,
+      headers,
+      redirect: 'follow'
+    };
+
+    if (method !== 'GET') {
+      init.cache = 'no-cache';
+      url = this.authenticate(url, headers);
+    }
+    if (payload !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(payload);
+    }
+
+    const response = await this.options.fetch(url, init);
+    let body;
+    try {
+      const text = await response.text();
+      body = text ? JSON.parse(text) : undefined;
+    }
+    catch (e) {
+      debug('  register response is not JSON:', e.message);
+    }
+    return { response, body };
+  }
+
+  /**
+   * Add the configured credentials to the request
+   *
+   * @param {String} url Request URL
+   * @param {Object} headers Request headers, modified
+   * @returns {String} Request URL
+   */
+  authenticate(url, headers) {
+    const authentication = this.options.authentication;
+    if (!authentication) {
+      return url;
+    }
+
+    if (authentication.bearer) {
+      headers['Authorization'] = `Bearer ${authentication.bearer.token}`;
+    }
+    else if (authentication.apikey) {
+      const { key, name } = authentication.apikey;
+      if (authentication.apikey.in === 'query') {
+        return `${url}${url.includes('?') ? '&' : '?'}${encodeURIComponent(name || 'api_key')}=${encodeURIComponent(key)}`;
+      }
+      headers[name || 'X-API-Key'] = key;
+    }
+    return url;
+  }
+}
+
+/**
+ * Service descriptor with the known, defined properties
+ *
+ * @param {Object} service Service details
+ */
+function descriptor(service) {
+  const result = {};
+  DESCRIPTOR_PROPERTIES.forEach(property => {
+    if (service[property] !== undefined) {
+      result[property] = service[property];
+    }
+  });
+  return result;
+}
+
+/**
+ * Encoded query of the services filters
+ *
+ * @param {Object} filters `profile`, `metadata`, `tags`, `page` and `limit`
+ * @returns {Array<String>} Encoded `name=value` pairs
+ */
+function servicesQuery({ profile, metadata, tags, page, limit }) {
+  const query = [];
+  if (profile) {
+    query.push(`semanticProfile=${encodeURIComponent(profile)}`);
+  }
+  for (const name in metadata || {}) {
+    query.push(`${encodeURIComponent(`metadata.${name}`)}=${encodeURIComponent(metadata[name])}`);
+  }
+  (tags || []).forEach(tag => query.push(`tag=${encodeURIComponent(tag)}`));
+  if (page) {
+    query.push(`page=${page}`);
+  }
+  if (limit) {
+    query.push(`limit=${limit}`);
+  }
+  return query;
+}
+
+function registryFailure(action, response, body) {
+  if (response.status === 401 || response.status === 403) {
+    return new RegistryError(`${action} was not authorized, HTTP ${response.status}`, { result: 'unauthorized', status: response.status, detail: body }, 'REGISTRY_UNAUTHORIZED');
   }
+  return new RegistryError(`${action} failed with HTTP ${response.status}`, { result: 'failed', status: response.status, detail: body });
 }
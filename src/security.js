@@ -0,0 +1,305 @@
+//
+//  OpenAPI Specification security
+//  ------------------------------
+//
+//  Security requirements of an operation are resolved against the `components.securitySchemes` and the credentials
+//  provided to the consumer. Credentials are looked up by the security scheme id first, then by the kind of the scheme:
+//
+//  {
+//    basic: { user, password },                    // http basic
+//    bearer: { token },                            // http bearer
+//    apikey: { key, secret },                      // apiKey in query, header or cookie
+//    oauth2: { clientId, clientSecret, scopes },   // oauth2 client credentials flow, or { accessToken }
+//  }
+//
+import Debug from 'debug';
+import * as base64 from './base64'
+import { AuthenticationNotConfiguredError, AuthenticationError, MappingSpecError } from './errors'
+
+const debug = Debug('superdriver:security');
+
+// Keys of credentials in the Superface authentication structure
+// Warning: Casing is "apiKey" in OAS but "apikey" in Superface auth structure!
+const CREDENTIALS_KEY = {
+  basic: 'basic',
+  bearer: 'bearer',
+  apiKey: 'apikey',
+  oauth2: 'oauth2',
+  openIdConnect: 'oauth2'
+}
+
+// Tokens are refreshed this long before they expire
+const TOKEN_EXPIRY_MARGIN = 30000;
+
+/**
+ * Resolve the security requirements of an operation
+ *
+ * Requirements are alternatives (OR), the first one with all its schemes (AND) covered by the credentials is used.
+ *
+ * @param {Array<Object>} requirements OAS security requirement objects
+ * @param {Object} securitySchemes OAS `components.securitySchemes`
+ * @param {Object} authentication Provided credentials
+ * @returns {Array<Object>} Security entries to apply, empty if no security is needed
+ */
+function resolveSecurity(requirements, securitySchemes, authentication) {
+  if (!requirements || !requirements.length) {
+    return [];
+  }
+
+  if (!securitySchemes) {
+    throw new MappingSpecError('security specified but no security components found');
+  }
+
+  for (const requirement of requirements) {
+    const entries = [];
+    for (const securityId of Object.keys(requirement)) {
+      debug('procesing security ID:', securityId);
+
+      const scheme = securitySchemes[securityId];
+      if (!scheme) {
+        throw new MappingSpecError(`security '${securityId}' is not defined in security components`);
+      }
+
+      const credentials = findCredentials(securityId, scheme, authentication);
+      if (!credentials) {
+        debug(`  no credentials for security '${securityId}'`);
+        break;
+      }
+
+      entries.push({
+        id: securityId,
+        type: scheme.type,
+        scheme: scheme.scheme && scheme.scheme.toLowerCase(),
+        in: scheme.in,
+        name: scheme.name,
+        flows: scheme.flows,
+        scopes: requirement[securityId],
+        credentials
+      });
+    }
+
+    // Every scheme of the requirement is covered (an empty requirement makes the security optional)
+    if (entries.length === Object.keys(requirement).length) {
+      return entries;
+    }
+  }
+
+  throw new AuthenticationNotConfiguredError(requirements);
+}
+
+/**
+ * Find credentials for a security scheme
+ *
+ * @param {String} securityId Security scheme id
+ * @param {Object} scheme OAS security scheme object
+ * @param {Object} authentication Provided credentials
+ */
+function findCredentials(securityId, scheme, authentication) {
+  if (!authentication) {
+    return null;
+  }
+
+  if (securityId in authentication) {
+    return authentication[securityId];
+  }
+
+  const key = (scheme.type === 'http') ? (scheme.scheme || '').toLowerCase() : CREDENTIALS_KEY[scheme.type];
+  return authentication[key] || null;
+}
+
+/**
+ * Apply resolved security to the request
+ *
+ * @param {Object} request Request built by Consumer.buildRequest()
+ * @param {Object} context
+ * @param {OAuth2TokenCache} context.tokens Cache of OAuth2 access tokens
+ * @param {Function} context.fetch Implementation of fetch used to obtain tokens
+ * @param {String} context.baseUrl Base URL to resolve relative token URLs against
+ * @returns {Promise<Object>} Headers and query of the request with security applied
+ */
+async function applySecurity(request, context) {
+  const headers = Object.assign({}, request.headers);
+  const query = [...request.query];
+
+  for (const entry of (request.security || [])) {
+    const credentials = entry.credentials;
+
+    if (entry.type === 'http' && entry.scheme === 'basic') {
+      debug('  basic auth:', credentials.user); // do not log password!
+      headers['Authorization'] = `Basic ${base64.encode(credentials.user + ":" + credentials.password)}`;
+    }
+    else if (entry.type === 'http' && entry.scheme === 'bearer') {
+      debug('  bearer authentication');
+      headers['Authorization'] = `Bearer ${tokenOf(credentials)}`;
+    }
+    else if (entry.type === 'apiKey') {
+      debug(`  apikey authentication in ${entry.in}`);
+      if (entry.in === 'query') {
+        query.push(`${encodeURIComponent(entry.name)}=${encodeURIComponent(credentials.key)}`);
+      }
+      else if (entry.in === 'header') {
+        headers[entry.name] = credentials.key;
+      }
+      else if (entry.in === 'cookie') {
+        const cookie = `${entry.name}=${encodeURIComponent(credentials.key)}`;
+        headers['Cookie'] = headers['Cookie'] ? `${headers['Cookie']}; ${cookie}` : cookie;
+      }
+      else {
+        throw new MappingSpecError(`apikey security in '${entry.in}' not yet supported, contact makers`);
+      }
+    }
+    else if (entry.type === 'oauth2' || entry.type === 'openIdConnect') {
+      debug(`  ${entry.type} authentication`);
+      const accessToken = await context.tokens.getToken(entry, context);
+      headers['Authorization'] = `Bearer ${accessToken}`;
+    }
+    else {
+      throw new MappingSpecError(`security '${entry.id}' of type '${entry.type}' not yet supported, contact makers`);
+    }
+  }
+
+  return { headers, query };
+}
+
+/**
+ * Bearer token credentials can be either the token itself or an object
+ *
+ * @param {String|Object} credentials
+ */
+function tokenOf(credentials) {
+  return (typeof credentials === 'string') ? credentials : credentials.token;
+}
+
+/**
+ * Cache of OAuth2 access tokens, obtained with the client credentials flow
+ */
+class OAuth2TokenCache {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * Get a valid access token for the security entry, obtaining a new one if needed
+   *
+   * @param {Object} entry Resolved security entry
+   * @param {Object} context See applySecurity()
+   * @returns {Promise<String>} Access token
+   */
+  async getToken(entry, context) {
+    const credentials = entry.credentials;
+    if (credentials.accessToken) {
+      return credentials.accessToken;
+    }
+
+    const flow = entry.flows && entry.flows.clientCredentials;
+    if (!flow || !flow.tokenUrl) {
+      throw new MappingSpecError(`security '${entry.id}' has no client credentials flow, provide an access token instead`);
+    }
+
+    const key = this.keyOf(entry);
+    const cached = this.tokens.get(key);
+    if (cached && (!cached.expiresAt || cached.expiresAt > Date.now())) {
+      return cached.token;
+    }
+
+    // Share a pending token request among concurrent calls
+    const pending = this.requestToken(new URL(flow.tokenUrl, context.baseUrl).href, entry, context.fetch)
+      .then(({ token, expiresIn }) => {
+        this.tokens.set(key, {
+          token,
+          expiresAt: expiresIn ? Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN : null
+        });
+        return token;
+      })
+      .catch(e => {
+        this.tokens.delete(key);
+        throw e;
+      });
+    this.tokens.set(key, { token: pending, expiresAt: null });
+
+    return pending;
+  }
+
+  /**
+   * Forget tokens of the security entries, e.g. after the provider rejected them
+   *
+   * @param {Array<Object>} entries Resolved security entries
+   * @returns {Boolean} true if any token was forgotten
+   */
+  invalidate(entries) {
+    let invalidated = false;
+    for (const entry of (entries || [])) {
+      if ((entry.type === 'oauth2' || entry.type === 'openIdConnect') && !entry.credentials.accessToken) {
+        invalidated = this.tokens.delete(this.keyOf(entry)) || invalidated;
+      }
+    }
+    return invalidated;
+  }
+
+  keyOf(entry) {
+    return `${entry.flows.clientCredentials.tokenUrl} ${entry.credentials.clientId} ${scopesOf(entry).join(' ')}`;
+  }
+
+  /**
+   * Request an access token from the token endpoint
+   *
+   * @param {String} tokenUrl Token endpoint URL
+   * @param {Object} entry Resolved security entry
+   * @param {Function} fetch Implementation of fetch
+   */
+  async requestToken(tokenUrl, entry, fetch) {
+    const { clientId, clientSecret } = entry.credentials;
+    debug(`  requesting access token from ${tokenUrl}`);
+
+    const parameters = [['grant_type', 'client_credentials']];
+    const scopes = scopesOf(entry);
+    if (scopes.length) {
+      parameters.push(['scope', scopes.join(' ')]);
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    if (entry.credentials.authMethod === 'body') {
+      parameters.push(['client_id', clientId], ['client_secret', clientSecret]);
+    } else {
+      headers['Authorization'] = `Basic ${base64.encode(encodeURIComponent(clientId) + ':' + encodeURIComponent(clientSecret))}`;
+    }
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers,
+      body: parameters.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&')
+    });
+
+    let body = null;
+    try {
+      body = await response.json();
+    }
+    catch (e) {
+      debug('  token response has no JSON body');
+    }
+
+    if (!response.ok || !body || !body.access_token) {
+      throw new AuthenticationError(`obtaining access token for security '${entry.id}' failed with HTTP ${response.status}`, response.status, body);
+    }
+
+    return { token: body.access_token, expiresIn: body.expires_in };
+  }
+}
+
+/**
+ * Scopes to request, the credentials override the scopes of the security requirement
+ *
+ * @param {Object} entry Resolved security entry
+ */
+function scopesOf(entry) {
+  return entry.credentials.scopes || entry.scopes || [];
+}
+
+export {
+  resolveSecurity,
+  applySecurity,
+  OAuth2TokenCache
+}
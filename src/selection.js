@@ -0,0 +1,198 @@
+//
+//  Provider selection
+//  ------------------
+//
+//  ProviderSelector ranks the services found in the register, the first one is tried first:
+//
+//  - 'first'           register order
+//  - 'round-robin'     register order rotated by one on every selection
+//  - 'lowest-latency'  lowest observed latency first, providers not used yet before the others, failed calls
+//                      are penalized
+//  - 'weighted'        weighted random order, the weight is `metadata.weight` of the service (1 by default)
+//  - function          caller-supplied score of (service, stats), the highest score first
+//
+//  Services can be restricted by `allow` and `deny` lists, and probed: the API specification of each candidate
+//  is fetched to confirm it maps the operation before it is chosen.
+//
+import Debug from 'debug';
+import { OperationNotFoundError } from './errors'
+
+const debug = Debug('superdriver:selection');
+
+const STRATEGIES = ['first', 'round-robin', 'lowest-latency', 'weighted'];
+
+// Weight of the latest observation in the latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// Minimum latency in milliseconds a failed call counts as, so failing providers rank after the responsive ones
+const FAILURE_LATENCY = 10000;
+
+const DEFAULT_OPTIONS = {
+  strategy: 'first',
+  weight: null,
+  allow: null,
+  deny: null,
+  probe: false,
+  random: Math.random
+}
+
+export class ProviderSelector {
+  /**
+   * Provider selection strategy
+   *
+   * @param {Object} options
+   * @param {String|Function} options.strategy 'first', 'round-robin', 'lowest-latency', 'weighted' or function of (service, stats) returning a score
+   * @param {Function} options.weight Optional function returning the weight of a service for the 'weighted' strategy
+   * @param {Array} options.allow Optional list of the only services to use, service URLs or names, regular expressions matching the URL or predicates
+   * @param {Array} options.deny Optional list of services never to use, entries as in `allow`
+   * @param {Boolean} options.probe Confirm the candidates map the operation before choosing them
+   * @param {Function} options.random Random number generator used by the 'weighted' strategy
+   */
+  constructor(options) {
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    if (typeof this.options.strategy !== 'function' && !STRATEGIES.includes(this.options.strategy)) {
+      throw new TypeError(`Unknown provider selection strategy '${this.options.strategy}'`);
+    }
+
+    this.rotation = 0;
+    this.stats = new Map();
+  }
+
+  /**
+   * Rank the services
+   *
+   * @param {Array<Object>} services Services returned by the register
+   * @param {Object} context
+   * @param {String} context.operation Affordance to perform, needed for probing
+   * @param {Function} context.consumerFor Function returning the Consumer of a service, needed for probing
+   * @param {Function} context.onExcluded Optional callback called with the services excluded by probing and the reason
+   * @returns {Promise<Array<Object>>} Services in the order they should be tried
+   */
+  async select(services, context = {}) {
+    const candidates = services.filter(service =>
+      (!this.options.allow || this.options.allow.some(entry => matches(service, entry))) &&
+      !(this.options.deny || []).some(entry => matches(service, entry)));
+
+    const ranked = this.rank(candidates);
+    if (!this.options.probe || !context.operation || !context.consumerFor) {
+      return ranked;
+    }
+
+    const mapped = await Promise.all(ranked.map(async (service) => {
+      try {
+        const consumer = context.consumerFor(service);
+        await consumer.fetchAPISpecification();
+        if (!consumer.findOperation(context.operation)) {
+          throw new OperationNotFoundError(context.operation);
+        }
+        return true;
+      }
+      catch (e) {
+        debug(`  ${serviceUrl(service)} excluded by probing:`, e.message);
+        if (context.onExcluded) {
+          context.onExcluded(service, e);
+        }
+        return false;
+      }
+    }));
+    return ranked.filter((service, index) => mapped[index]);
+  }
+
+  /**
+   * Order the services by the strategy
+   *
+   * @param {Array<Object>} services
+   */
+  rank(services) {
+    const strategy = this.options.strategy;
+
+    if (typeof strategy === 'function') {
+      return byScore(services, service => strategy(service, this.statsOf(service)));
+    }
+
+    switch (strategy) {
+      case 'round-robin': {
+        if (!services.length) {
+          return services;
+        }
+        const offset = this.rotation++ % services.length;
+        return services.slice(offset).concat(services.slice(0, offset));
+      }
+
+      case 'lowest-latency':
+        return byScore(services, service => {
+          const { latency } = this.statsOf(service);
+          return (latency === null) ? Infinity : -latency;
+        });
+
+      case 'weighted':
+        // Weighted random order, each service keyed by random^(1/weight)
+        return byScore(services, service => {
+          const metadata = service.metadata || {};
+          const weight = this.options.weight ? this.options.weight(service) : Number(('weight' in metadata) ? metadata.weight : 1);
+          return (weight > 0) ? Math.pow(this.options.random(), 1 / weight) : -1;
+        });
+
+      default:
+        return services.slice();
+    }
+  }
+
+  /**
+   * Record the latency of a call to the service
+   *
+   * @param {Object} service Service returned by the register
+   * @param {Number} latency Time in milliseconds
+   * @param {Boolean} failed The provider failed, the call counts as at least FAILURE_LATENCY
+   */
+  observe(service, latency, failed = false) {
+    const stats = this.statsOf(service);
+    const observed = failed ? Math.max(latency, FAILURE_LATENCY) : latency;
+    this.stats.set(serviceUrl(service), {
+      latency: (stats.latency === null) ? observed : stats.latency + LATENCY_SMOOTHING * (observed - stats.latency),
+      calls: stats.calls + 1,
+      failures: stats.failures + (failed ? 1 : 0)
+    });
+  }
+
+  /**
+   * Observed statistics of the service
+   *
+   * @param {Object} service Service returned by the register
+   * @returns {Object} Average `latency` in milliseconds (null when not used yet), number of `calls` and `failures`
+   */
+  statsOf(service) {
+    return this.stats.get(serviceUrl(service)) || { latency: null, calls: 0, failures: 0 };
+  }
+}
+
+/**
+ * Service URL of a service returned by the register
+ *
+ * @param {Object} service
+ */
+function serviceUrl(service) {
+  return service.serviceUrl || service.serviceURL || service.url;
+}
+
+function matches(service, entry) {
+  if (typeof entry === 'function') {
+    return entry(service);
+  }
+  if (entry instanceof RegExp) {
+    return entry.test(serviceUrl(service));
+  }
+  return entry === serviceUrl(service) || entry === service.name;
+}
+
+// Highest score first, equal scores keep the register order
+function byScore(services, score) {
+  return services
+    .map((service, index) => ({ service, index, score: score(service) }))
+    .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+    .map(entry => entry.service);
+}
+
+export {
+  serviceUrl
+}
@@ -0,0 +1,116 @@
+//
+//  Loading of API specifications without the provider
+//  --------------------------------------------------
+//
+//  The mapping (OAS with `x-profile` annotations) can be vendored: passed as an already-loaded object,
+//  a local file path or the YAML / JSON text. Specifications split across files are resolved locally,
+//  relative `$ref`s are resolved against the base path. Remote `$ref`s are fetched with the given fetch when there is one.
+//
+import Debug from 'debug';
+import SwaggerParser from 'swagger-parser'
+import { MappingSpecError } from './errors'
+
+const debug = Debug('superdriver:specification');
+
+/**
+ * Parse the API specification source to an object, file paths are returned as they are
+ *
+ * @param {Object|String} source OAS object, file path or YAML / JSON text
+ */
+function parseSource(source) {
+  if (typeof source !== 'string') {
+    return source;
+  }
+
+  const text = source.trim();
+  if (text.startsWith('{')) {
+    return JSON.parse(text);
+  }
+  if (text.includes('\n') || /^(openapi|swagger)\s*:/.test(text)) {
+    return SwaggerParser.YAML.parse(text);
+  }
+  return undefined;
+}
+
+/**
+ * Options of the $ref resolution, only local files are read unless the base path is a URL
+ *
+ * @param {String} basePath Base path of the relative $refs
+ * @param {Boolean} remote Allow resolving $refs over HTTP
+ * @param {Function} fetch Optional implementation of fetch reading the remote $refs
+ */
+function parserOptions(basePath, remote, fetch) {
+  const isUrl = /^https?:\/\//i.test(basePath || '');
+  const http = (remote !== undefined) ? remote : isUrl;
+  return { resolve: { http: (http && fetch) ? { read: file => fetchText(fetch, file.url) } : http } };
+}
+
+/**
+ * Text of the remote $ref
+ *
+ * @param {Function} fetch Implementation of fetch
+ * @param {String} url URL of the referenced document
+ */
+async function fetchText(fetch, url) {
+  debug(`fetching ${url}`);
+  const response = await fetch(url, { headers: { 'Accept': 'application/json, application/yaml' } });
+  if (!response.ok) {
+    throw new Error(`fetching ${url} failed with HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Load and dereference the API specification
+ *
+ * Objects are dereferenced in place.
+ *
+ * @param {Object|String} source OAS object, file path or YAML / JSON text
+ * @param {Object} options
+ * @param {String} options.basePath Path or URL the relative $refs are resolved against, defaults to the file path or the working directory
+ * @param {Boolean} options.remote Allow resolving $refs over HTTP, by default only when the base path is a URL
+ * @param {Function} options.fetch Optional implementation of fetch reading the remote $refs
+ * @returns {Promise<Object>} Dereferenced OAS
+ */
+async function loadSpecification(source, options = {}) {
+  const api = parseSource(source);
+  const path = api ? options.basePath : source;
+  debug(`loading API specification${path ? ` from ${path}` : ''}`);
+
+  try {
+    return path
+      ? await SwaggerParser.dereference(path, api, parserOptions(path, options.remote, options.fetch))
+      : await SwaggerParser.dereference(api, parserOptions(path, options.remote, options.fetch));
+  }
+  catch (e) {
+    throw new MappingSpecError(`API specification can not be loaded: ${e.message}`);
+  }
+}
+
+/**
+ * Bundle the API specification split across files into one document, e.g. to vendor it
+ *
+ * External $refs are replaced by internal ones, the result can be serialized to JSON or YAML.
+ *
+ * @param {Object|String} source OAS object, file path or YAML / JSON text
+ * @param {Object} options Same as for loadSpecification()
+ * @returns {Promise<Object>} Bundled OAS
+ */
+async function bundleSpecification(source, options = {}) {
+  const api = parseSource(source);
+  const path = api ? options.basePath : source;
+
+  try {
+    return path
+      ? await SwaggerParser.bundle(path, api, parserOptions(path, options.remote, options.fetch))
+      : await SwaggerParser.bundle(api, parserOptions(path, options.remote, options.fetch));
+  }
+  catch (e) {
+    throw new MappingSpecError(`API specification can not be bundled: ${e.message}`);
+  }
+}
+
+export {
+  loadSpecification,
+  bundleSpecification
+}
@@ -0,0 +1,658 @@
+// Type definitions for superdriver
+
+//
+// Requests and responses
+//
+
+export type Fetch = (url: string, init?: any) => Promise<any>
+
+export interface Policy {
+  /** Time in milliseconds to wait for the response, 0 for no timeout */
+  timeout?: number
+  /** Maximum number of retries */
+  retries?: number
+  /** Delay before the first retry in milliseconds */
+  minDelay?: number
+  /** Maximum delay between retries in milliseconds */
+  maxDelay?: number
+  /** Backoff multiplier */
+  factor?: number
+  /** Randomize the delays */
+  jitter?: boolean
+  /** Longest Retry-After in milliseconds worth waiting for */
+  maxRetryAfter?: number
+}
+
+export type ResponseValidation = 'warn' | 'error'
+
+export interface PerformRequest {
+  /** Identifier of the affordance as defined in the profile, e.g. "RetrieveAlert" */
+  operation: string
+  /** Input parameters keyed by their profile identifier */
+  parameters?: { [parameterId: string]: any }
+  /** Response values to return, as defined in the profile */
+  response: string[]
+  policy?: Policy
+  validate?: boolean
+  responseValidation?: ResponseValidation
+  coerce?: boolean
+}
+
+/** Response values keyed by the requested identifiers, values within arrays are grouped into collections */
+export interface ProfileResponse {
+  [valueId: string]: any
+}
+
+export interface PaginationLimits {
+  /** Maximum number of pages, 100 by default */
+  maxPages?: number
+  maxItems?: number
+}
+
+export interface ValidationError {
+  path: string
+  keyword: string
+  message: string
+}
+
+//
+// Credentials
+//
+
+export interface Credentials {
+  basic?: { user: string, password: string }
+  bearer?: { token: string }
+  apikey?: { key: string, secret?: string }
+  oauth2?: {
+    clientId?: string
+    clientSecret?: string
+    scopes?: string[]
+    accessToken?: string
+    authMethod?: 'basic' | 'body'
+  }
+  /** Credentials of a particular security scheme, keyed by its id */
+  [securitySchemeId: string]: any
+}
+
+//
+// Consumer
+//
+
+export interface Service {
+  /** Service URL */
+  url: string
+  /** Profile identifier */
+  profileId: string
+  /** Mapping URL, defaults to `${url}/oas` */
+  mappingUrl?: string
+  /** Mapping used instead of fetching it, OAS object, file path or YAML / JSON text */
+  mapping?: object | string
+  /** Path or URL the relative $refs of the mapping are resolved against */
+  mappingBasePath?: string
+  authentication?: Credentials
+}
+
+export type ResponseParser = (text: string, mediaType: string) => any
+
+export interface ConsumerOptions {
+  fetch?: Fetch
+  policy?: Policy
+  /** Validate input parameters against the mapping schemas */
+  validate?: boolean
+  /** Validate provider responses against the mapping schemas */
+  responseValidation?: ResponseValidation
+  /** Coerce response values to the types and formats declared by the mapping */
+  coerce?: boolean
+  onSchemaDrift?: (errors: ValidationError[], context: { operation: string, providerUrl: string }) => void
+  /** Response body parsers keyed by media type pattern */
+  parsers?: { [pattern: string]: ResponseParser }
+  cache?: HttpCache | null
+  /** Profile the requests are checked against, `true` to fetch it from the profile id */
+  profile?: Profile | object | string | boolean
+  middleware?: Middleware[]
+  /** Adapter the spans and metrics are reported to, no-op by default */
+  telemetry?: Telemetry
+  /** Names of additional sensitive headers, parameters and fields to redact from telemetry and logs */
+  redact?: string[]
+}
+
+export interface HttpRequest {
+  url: string
+  method: string
+  /** Encoded `name=value` pairs */
+  query: string[]
+  headers: { [name: string]: string }
+  body: any
+  security: any[]
+  /** Names of the headers, parameters and fields filled with credentials, redacted from telemetry and logs */
+  sensitive?: string[]
+}
+
+export interface HttpResponse {
+  status: number
+  headers: { [name: string]: string }
+  mediaType: string
+  body: any
+}
+
+export interface MiddlewareContext {
+  consumer: Consumer
+  request: PerformRequest
+  /** Operation found in the mapping */
+  operation: any
+  /** Data the middleware keeps for the time of the call */
+  state: { [key: string]: any }
+}
+
+export interface Middleware {
+  beforeBuild?(request: PerformRequest, context: MiddlewareContext): PerformRequest | void | Promise<PerformRequest | void>
+  afterBuild?(httpRequest: HttpRequest, context: MiddlewareContext): HttpRequest | void | Promise<HttpRequest | void>
+  execute?(httpRequest: HttpRequest, next: (httpRequest: HttpRequest) => Promise<HttpResponse>, context: MiddlewareContext): Promise<HttpResponse>
+  afterNormalize?(result: ProfileResponse | null, context: MiddlewareContext): ProfileResponse | null | void | Promise<ProfileResponse | null | void>
+}
+
+export function useMiddleware(middleware: Middleware): () => void
+
+export class Consumer {
+  constructor(service: Service, options?: ConsumerOptions)
+  providerUrl: string
+  profileId: string
+  options: ConsumerOptions
+  apiSpecification: any
+
+  use(middleware: Middleware): this
+  perform(request: PerformRequest): Promise<ProfileResponse | null>
+  /** Build the HTTP request of the profile request without sending it, credentials are not applied */
+  explain(request: PerformRequest): Promise<{ method: string, url: string, headers: { [name: string]: string }, body: string | null, security: string[] }>
+  paginate(request: PerformRequest, options?: PaginationLimits): AsyncGenerator<ProfileResponse | null, void, unknown>
+  performAll(request: PerformRequest, options?: PaginationLimits): Promise<ProfileResponse | null>
+  getProfile(): Promise<Profile | null>
+  fetchAPISpecification(): Promise<any>
+  invalidateCache(): Promise<void>
+}
+
+//
+// Telemetry
+//
+
+export type Attributes = { [name: string]: string | number | boolean | undefined }
+
+export interface TelemetrySpan {
+  setAttributes(attributes: Attributes): void
+  addEvent(name: string, attributes?: Attributes): void
+  recordError(error: Error): void
+  end(): void
+}
+
+export interface Telemetry {
+  startSpan(name: string, attributes: Attributes, parent: TelemetrySpan | null): TelemetrySpan
+  recordMetric(name: string, value: number, attributes: Attributes, kind?: 'histogram' | 'counter'): void
+}
+
+export class NoopTelemetry implements Telemetry {
+  startSpan(name: string, attributes: Attributes, parent: TelemetrySpan | null): TelemetrySpan
+  recordMetric(name: string, value: number, attributes: Attributes, kind?: 'histogram' | 'counter'): void
+}
+
+export class OpenTelemetryAdapter implements Telemetry {
+  /** `api` is the `@opentelemetry/api` module */
+  constructor(params: { api?: any, tracer?: any, meter?: any })
+  startSpan(name: string, attributes: Attributes, parent: TelemetrySpan | null): TelemetrySpan
+  recordMetric(name: string, value: number, attributes: Attributes, kind?: 'histogram' | 'counter'): void
+}
+
+//
+// Register
+//
+
+export interface RegisterOptions {
+  fetch?: Fetch
+  /** Path of the services collection, defaults to '/api/registry' */
+  registryPath?: string
+  /** Credentials for register, update and unregister */
+  authentication?: RegisterCredentials
+  /** Default number of services per page of listServices() */
+  pageSize?: number
+}
+
+export interface RegisterCredentials {
+  bearer?: { token: string }
+  apikey?: { key: string, in?: 'header' | 'query', name?: string }
+}
+
+export interface ServiceDescriptor {
+  serviceUrl?: string
+  serviceURL?: string
+  url?: string
+  mappingUrl?: string
+  semanticProfile?: string
+  name?: string
+  description?: string
+  version?: string
+  profileVersions?: string[]
+  metadata?: { [name: string]: string }
+  tags?: string[]
+  [property: string]: any
+}
+
+export interface ServiceRegistration {
+  serviceUrl: string
+  mappingUrl?: string
+  semanticProfile: string
+  name?: string
+  description?: string
+  version?: string
+  profileVersions?: string[]
+  metadata?: { [name: string]: string }
+  tags?: string[]
+  /** Lease duration in seconds */
+  ttl?: number
+}
+
+export interface Registration {
+  result: 'created' | 'conflict'
+  service: ServiceDescriptor
+  /** Path of the service in the register, when known */
+  location?: string
+}
+
+export interface ServicesFilters {
+  metadata?: { [name: string]: string }
+  tags?: string[]
+}
+
+export interface ServicesPage {
+  services: ServiceDescriptor[]
+  page: number
+  limit: number
+  total?: number
+  next: number | null
+}
+
+/** Operations of a register, implemented by Register and MemoryRegister */
+export interface ServiceRegister {
+  findServices(profileId: string, filters?: ServicesFilters): Promise<ServiceDescriptor[]>
+  listServices(filters?: ServicesFilters & { profile?: string, page?: number, limit?: number }): Promise<ServicesPage>
+  getService(location: string): Promise<ServiceDescriptor>
+  registerService(service: ServiceRegistration): Promise<Registration>
+  updateService(location: string, changes: Partial<ServiceRegistration>): Promise<ServiceDescriptor>
+  unregisterService(service: { serviceUrl: string }): Promise<void>
+}
+
+export class Register implements ServiceRegister {
+  constructor(registerUrl: string, options?: RegisterOptions)
+  registerUrl: string
+
+  findServices(profileId: string, filters?: ServicesFilters): Promise<ServiceDescriptor[]>
+  listServices(filters?: ServicesFilters & { profile?: string, page?: number, limit?: number }): Promise<ServicesPage>
+  getService(location: string): Promise<ServiceDescriptor>
+  registerService(service: ServiceRegistration): Promise<Registration>
+  updateService(location: string, changes: Partial<ServiceRegistration>): Promise<ServiceDescriptor>
+  unregisterService(service: { serviceUrl: string }): Promise<void>
+}
+
+//
+// ServiceLease
+//
+
+export interface LeaseOptions {
+  /** Lease duration in seconds, defaults to 60 */
+  ttl?: number
+  /** Time in milliseconds between renewals, defaults to half of the lease duration */
+  renewInterval?: number
+  /** Unregister the service on SIGINT and SIGTERM, defaults to true */
+  unregisterOnExit?: boolean
+  /** Time in milliseconds the process waits for the unregistration on exit, defaults to 3000 */
+  exitTimeout?: number
+  onRegister?: (service: LeasedService) => void
+  onError?: (error: Error) => void
+}
+
+export interface LeasedService extends ServiceDescriptor {
+  /** Expiry of the lease reported by the register */
+  expiresAt: Date | null
+}
+
+export class ServiceLease {
+  constructor(register: ServiceRegister, service: ServiceRegistration, options?: LeaseOptions)
+  service: LeasedService | null
+  location: string | null
+
+  start(): Promise<LeasedService>
+  renew(): Promise<LeasedService>
+  stop(): Promise<void>
+}
+
+//
+// Client
+//
+
+export interface ClientOptions {
+  /** Time in milliseconds a failing provider is skipped for */
+  cooldown?: number
+  /** Credentials for a given service */
+  authentication?: (service: ServiceDescriptor) => Credentials | undefined
+  /** Options passed to every Consumer */
+  consumer?: ConsumerOptions
+  /** Provider selection strategy, or the options of a ProviderSelector */
+  selection?: ProviderSelector | SelectionOptions
+}
+
+export interface ProviderStats {
+  /** Average latency in milliseconds, null when not used yet */
+  latency: number | null
+  calls: number
+  /** Calls the provider failed, each counts as at least 10 seconds in the latency */
+  failures: number
+}
+
+export type ServiceMatcher = string | RegExp | ((service: ServiceDescriptor) => boolean)
+
+export interface SelectionOptions {
+  strategy?: 'first' | 'round-robin' | 'lowest-latency' | 'weighted' | ((service: ServiceDescriptor, stats: ProviderStats) => number)
+  /** Weight of a service for the 'weighted' strategy, `metadata.weight` by default */
+  weight?: (service: ServiceDescriptor) => number
+  /** The only services to use, service URLs or names */
+  allow?: ServiceMatcher[]
+  /** Services never to use */
+  deny?: ServiceMatcher[]
+  /** Confirm the candidates map the operation before choosing them */
+  probe?: boolean
+  random?: () => number
+}
+
+export class ProviderSelector {
+  constructor(options?: SelectionOptions)
+
+  select(services: ServiceDescriptor[], context?: {
+    operation?: string
+    consumerFor?: (service: ServiceDescriptor) => Consumer
+    onExcluded?: (service: ServiceDescriptor, error: Error) => void
+  }): Promise<ServiceDescriptor[]>
+  observe(service: ServiceDescriptor, latency: number, failed?: boolean): void
+  statsOf(service: ServiceDescriptor): ProviderStats
+}
+
+export interface ProviderHealth {
+  available: boolean
+  failures: number
+  lastError: string | null
+  unavailableUntil: number | null
+}
+
+export class Client {
+  constructor(params: { profileId: string, register: ServiceRegister }, options?: ClientOptions)
+  profileId: string
+  register: ServiceRegister
+
+  perform(request: PerformRequest): Promise<{ service: ServiceDescriptor, response: ProfileResponse | null }>
+  getHealth(): { [serviceUrl: string]: ProviderHealth }
+}
+
+//
+// Profile
+//
+
+export interface ProfileValue {
+  id: string
+  name?: string
+  doc?: string
+  collection?: boolean
+}
+
+export interface ProfileOperation {
+  id: string
+  type: 'safe' | 'unsafe' | 'idempotent'
+  doc?: string
+  inputs: ProfileValue[]
+  outputs: ProfileValue[]
+}
+
+export class Profile {
+  constructor(profileId: string, document?: object | string | null, options?: { fetch?: Fetch })
+  static load(profileId: string, options?: { fetch?: Fetch }): Promise<Profile>
+  profileId: string
+  readonly doc: string | undefined
+
+  fetchProfile(): Promise<Profile>
+  operations(): ProfileOperation[]
+  operation(operationId: string): ProfileOperation | undefined
+  validateRequest(request: PerformRequest): void
+}
+
+export function generateClient(profile: Profile, options?: {
+  name?: string
+  module?: string
+  types?: { [valueId: string]: string }
+}): string
+
+//
+// Mappings
+//
+
+export interface SpecificationOptions {
+  basePath?: string
+  remote?: boolean
+  /** Fetch used to read remote `$ref`s */
+  fetch?: Fetch
+}
+
+export function loadSpecification(source: object | string, options?: SpecificationOptions): Promise<any>
+export function bundleSpecification(source: object | string, options?: SpecificationOptions): Promise<any>
+
+export interface LintIssue {
+  severity: 'error' | 'warning'
+  code: string
+  message: string
+  pointer: string
+}
+
+export interface LintResult {
+  valid: boolean
+  profileId: string | undefined
+  errors: number
+  warnings: number
+  issues: LintIssue[]
+}
+
+export function lintMapping(oas: object | string, profile: Profile | object | string, options?: { profileId?: string }): Promise<LintResult>
+
+export function registerParser(pattern: string, parser: ResponseParser): void
+
+//
+// Cache
+//
+
+export interface CacheStore {
+  get(key: string): Promise<any>
+  set(key: string, value: any): Promise<void>
+  delete(key: string): Promise<void>
+  keys(): Promise<string[]>
+  clear(): Promise<void>
+}
+
+export class MemoryCache implements CacheStore {
+  constructor(options?: { maxEntries?: number })
+  get(key: string): Promise<any>
+  set(key: string, value: any): Promise<void>
+  delete(key: string): Promise<void>
+  keys(): Promise<string[]>
+  clear(): Promise<void>
+}
+
+export class FileCache implements CacheStore {
+  constructor(options: { directory: string })
+  get(key: string): Promise<any>
+  set(key: string, value: any): Promise<void>
+  delete(key: string): Promise<void>
+  keys(): Promise<string[]>
+  clear(): Promise<void>
+}
+
+export class HttpCache {
+  constructor(store?: CacheStore, options?: { ttl?: number, maxTtl?: number, shared?: boolean })
+  store: CacheStore
+
+  fetch(fetch: Fetch, url: string, init?: any): Promise<any>
+  invalidate(url: string): Promise<void>
+  clear(): Promise<void>
+}
+
+//
+// Test kit
+//
+
+export interface MockRequest {
+  method: string
+  url: string
+  path: string
+  query: { [name: string]: string }
+  headers: { [name: string]: string }
+  body?: any
+  pathParameters?: { [name: string]: string }
+}
+
+export interface MockResponse {
+  status?: number
+  headers?: { [name: string]: string }
+  body?: any
+}
+
+export class MockProvider {
+  constructor(specification: object | string, options?: {
+    url?: string
+    basePath?: string
+    handlers?: { [operation: string]: (request: MockRequest) => MockResponse | undefined | Promise<MockResponse | undefined> }
+  })
+  url: string
+  readonly service: ServiceDescriptor
+  requests: MockRequest[]
+  fetch: Fetch
+}
+
+export interface FixtureOptions {
+  /** Directory of the fixture files */
+  directory?: string
+  /** Storage used instead of the files */
+  store?: CacheStore
+  /** Names of additional sensitive parameters and fields to redact, e.g. "appid" */
+  redact?: string[]
+}
+
+export function recordFetch(fetch: Fetch, options: FixtureOptions): Fetch
+export function replayFetch(options: FixtureOptions): Fetch
+
+export class MemoryRegister implements ServiceRegister {
+  constructor(services?: ServiceRegistration[])
+
+  findServices(profileId: string, filters?: ServicesFilters): Promise<ServiceDescriptor[]>
+  listServices(filters?: ServicesFilters & { profile?: string, page?: number, limit?: number }): Promise<ServicesPage>
+  getService(location: string): Promise<ServiceDescriptor>
+  registerService(service: ServiceRegistration): Promise<Registration>
+  updateService(location: string, changes: Partial<ServiceRegistration>): Promise<ServiceDescriptor>
+  unregisterService(service: { serviceUrl: string }): Promise<void>
+}
+
+//
+// Errors
+//
+
+export class SuperdriverError extends Error {
+  constructor(message: string, code: string)
+  code: string
+}
+
+export class OperationNotFoundError extends SuperdriverError {
+  constructor(operation: string)
+  operation: string
+}
+
+export class MissingRequiredParameterError extends SuperdriverError {
+  constructor(parameter: string, profileId?: string)
+  parameter: string
+  profileId: string | undefined
+}
+
+export class InputValidationError extends SuperdriverError {
+  constructor(errors: { [parameterId: string]: ValidationError[] })
+  errors: { [parameterId: string]: ValidationError[] }
+}
+
+export class ProfileValidationError extends SuperdriverError {
+  constructor(operation: string, errors: Array<{ kind: 'operation' | 'input' | 'response', identifier: string }>)
+  operation: string
+  errors: Array<{ kind: 'operation' | 'input' | 'response', identifier: string }>
+}
+
+export class ProfileError extends SuperdriverError {
+  constructor(message: string)
+}
+
+export class ResponseValidationError extends SuperdriverError {
+  constructor(operation: string, errors: ValidationError[])
+  operation: string
+  errors: ValidationError[]
+}
+
+export class AuthenticationNotConfiguredError extends SuperdriverError {
+  constructor(security: any)
+  security: any
+}
+
+export class AuthenticationError extends SuperdriverError {
+  constructor(message: string, status?: number, detail?: any)
+  status?: number
+  detail?: any
+}
+
+export class MappingSpecError extends SuperdriverError {
+  constructor(message: string)
+}
+
+export class ProviderConnectionError extends SuperdriverError {
+  constructor(message: string, cause?: Error, code?: string)
+  cause?: Error
+}
+
+export class ProviderTimeoutError extends ProviderConnectionError {
+  constructor(timeout: number)
+  timeout: number
+}
+
+export class ProviderHttpError extends SuperdriverError {
+  constructor(status: number, headers: { [name: string]: string }, problem: any)
+  status: number
+  headers: { [name: string]: string }
+  problem: any
+  /** Profile outcome, e.g. "NotFound" or the id of the response in the mapping */
+  outcome: string
+  /** Error response values mapped to the profile */
+  profileError: ProfileResponse | null
+}
+
+export class NoProviderAvailableError extends SuperdriverError {
+  constructor(operation: string, failures: Array<{ service: ServiceDescriptor, error: Error }>)
+  operation: string
+  failures: Array<{ service: ServiceDescriptor, error: Error }>
+}
+
+export class PaginationError extends SuperdriverError {
+  constructor(message: string)
+}
+
+export class FixtureNotFoundError extends SuperdriverError {
+  constructor(key: string)
+  key: string
+}
+
+export class RegistryError extends SuperdriverError {
+  constructor(message: string, details?: { result?: string, status?: number, detail?: any }, code?: string)
+  result?: string
+  status?: number
+  detail?: any
+}
+
+export class ServiceNotFoundError extends RegistryError {
+  constructor(profileId: string)
+  profileId: string
+}
@@ -1,2 +1,15 @@
 export * from './consumer'
 export * from './register'
+export * from './lease'
+export * from './client'
+export * from './errors'
+export * from './cache'
+export * from './specification'
+export * from './lint'
+export * from './profile'
+export * from './generate'
+export * from './testkit'
+export { registerParser } from './util/mediaTypes'
+export { useMiddleware } from './middleware'
+export { NoopTelemetry, OpenTelemetryAdapter } from './telemetry'
+export { ProviderSelector } from './selection'
@@ -0,0 +1,200 @@
+//
+//  Telemetry
+//  ---------
+//
+//  perform() reports spans of its phases and metrics through a telemetry adapter:
+//
+//  superdriver.perform                 profile id, operation, provider URL
+//    superdriver.spec_fetch            specification URL
+//    superdriver.resolve_operation     HTTP method and path of the mapped operation
+//    superdriver.build_request
+//    superdriver.http                  method, URL, status code, retry count, latency
+//    superdriver.map
+//
+//  Metrics are the `superdriver.perform.duration` and `superdriver.http.duration` histograms (milliseconds)
+//  and the `superdriver.http.retries` counter.
+//
+//  An adapter has two methods:
+//
+//  {
+//    startSpan(name, attributes, parent) => span,   // span with setAttributes(), addEvent(), recordError() and end()
+//    recordMetric(name, value, attributes, kind)    // kind is 'histogram' or 'counter'
+//  }
+//
+//  Credentials and configured sensitive fields are redacted from the attributes and debug logs.
+//
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_NAMES = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'api-key',
+  'api_key',
+  'apikey',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'client_secret',
+  'password',
+  'secret',
+  'token'
+];
+
+const NOOP_SPAN = {
+  setAttributes() {},
+  addEvent() {},
+  recordError() {},
+  end() {}
+};
+
+export class NoopTelemetry {
+  startSpan() {
+    return NOOP_SPAN;
+  }
+
+  recordMetric() {}
+}
+
+export class OpenTelemetryAdapter {
+  /**
+   * Telemetry adapter reporting to OpenTelemetry
+   *
+   * @param {Object} params
+   * @param {Object} params.api The `@opentelemetry/api` module, used to nest the spans
+   * @param {Object} params.tracer Tracer, e.g. `api.trace.getTracer('superdriver')`
+   * @param {Object} params.meter Optional meter, e.g. `api.metrics.getMeter('superdriver')`
+   */
+  constructor({ api, tracer, meter }) {
+    this.api = api;
+    this.tracer = tracer || (api && api.trace.getTracer('superdriver'));
+    this.meter = meter;
+    this.instruments = new Map();
+  }
+
+  startSpan(name, attributes, parent) {
+    const context = (parent && parent.span && this.api)
+      ? this.api.trace.setSpan(this.api.context.active(), parent.span)
+      : undefined;
+    const span = this.tracer.startSpan(name, { attributes: primitiveAttributes(attributes) }, context);
+
+    return {
+      span,
+      setAttributes: (values) => span.setAttributes(primitiveAttributes(values)),
+      addEvent: (eventName, values) => span.addEvent(eventName, primitiveAttributes(values)),
+      recordError: (error) => {
+        span.recordException(error);
+        span.setStatus({ code: 2, message: error.message }); // SpanStatusCode.ERROR
+      },
+      end: () => span.end()
+    };
+  }
+
+  recordMetric(name, value, attributes, kind = 'histogram') {
+    if (!this.meter) {
+      return;
+    }
+
+    if (!this.instruments.has(name)) {
+      this.instruments.set(name, (kind === 'counter')
+        ? this.meter.createCounter(name)
+        : this.meter.createHistogram(name, { unit: 'ms' }));
+    }
+    const instrument = this.instruments.get(name);
+    if (kind === 'counter') {
+      instrument.add(value, primitiveAttributes(attributes));
+    } else {
+      instrument.record(value, primitiveAttributes(attributes));
+    }
+  }
+}
+
+/**
+ * Run the function in a span, errors are recorded on the span
+ *
+ * @param {Object} telemetry Telemetry adapter
+ * @param {String} name Span name
+ * @param {Object} attributes Span attributes
+ * @param {Object} parent Parent span
+ * @param {Function} fn Function of (span)
+ */
+async function withSpan(telemetry, name, attributes, parent, fn) {
+  const span = telemetry.startSpan(name, attributes, parent);
+  try {
+    return await fn(span);
+  }
+  catch (e) {
+    span.recordError(e);
+    throw e;
+  }
+  finally {
+    span.end();
+  }
+}
+
+/**
+ * Is the header, parameter or property name sensitive
+ *
+ * @param {String} name Name, for profile identifiers the last segment is used
+ * @param {Array<String>} sensitive Additional sensitive names
+ */
+function isSensitive(name, sensitive = []) {
+  const normalized = String(name).split(/[#/]/).pop().toLowerCase();
+  return SENSITIVE_NAMES.includes(normalized) || sensitive.some(field => field.toLowerCase() === normalized);
+}
+
+/**
+ * Copy of the value with sensitive properties redacted, at any depth
+ *
+ * @param {any} value Object, array or value
+ * @param {Array<String>} sensitive Additional sensitive names
+ */
+function redact(value, sensitive) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, sensitive));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const name in value) {
+    result[name] = isSensitive(name, sensitive) ? REDACTED : redact(value[name], sensitive);
+  }
+  return result;
+}
+
+/**
+ * URL with the values of sensitive query parameters redacted
+ *
+ * @param {String} url URL
+ * @param {Array<String>} query Encoded `name=value` pairs
+ * @param {Array<String>} sensitive Additional sensitive names
+ */
+function redactUrl(url, query, sensitive) {
+  const pairs = (query || []).map(pair => {
+    const name = decodeURIComponent(pair.split('=')[0]);
+    return isSensitive(name, sensitive) ? `${pair.split('=')[0]}=${REDACTED}` : pair;
+  });
+  return pairs.length ? `${url}${url.includes('?') ? '&' : '?'}${pairs.join('&')}` : url;
+}
+
+function primitiveAttributes(attributes) {
+  const result = {};
+  for (const name in attributes || {}) {
+    const value = attributes[name];
+    if (value !== undefined && value !== null && typeof value !== 'object') {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+export {
+  withSpan,
+  isSensitive,
+  redact,
+  redactUrl
+}
@@ -0,0 +1,443 @@
+//
+//  Test kit
+//  --------
+//
+//  Helpers for testing code built on Consumer.perform() without live providers and register:
+//
+//  - MockProvider serves an OAS mapping and responses synthesized from its response schemas, through its `fetch`
+//  - recordFetch() wraps fetch and stores the HTTP exchanges as fixtures, replayFetch() serves them back
+//  - MemoryRegister is an in-memory stand-in of Register
+//
+//  The fetch functions are passed as `options.fetch` of the Consumer, Client (`options.consumer.fetch`) or Register.
+//
+import Debug from 'debug';
+import { FileCache } from './cache'
+import { loadSpecification, bundleSpecification } from './specification'
+import { isSensitive, redact, redactUrl } from './telemetry'
+import { synthesize } from './util/synthesize'
+import * as mapping from './util/mappingSpec'
+import { FixtureNotFoundError, RegistryError, ServiceNotFoundError } from './errors'
+
+const debug = Debug('superdriver:testkit');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// URL-encoded form body, e.g. `grant_type=client_credentials&client_secret=...`
+const FORM_PATTERN = /^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/;
+
+export class MockProvider {
+  /**
+   * Mock provider serving the mapping and synthesized responses
+   *
+   * The mapping is served at `<url>/oas`. Requests of the mapped operations are answered by the handler of
+   * the operation when there is one, otherwise with a value synthesized from the schema of the first documented
+   * 2xx response. Requests are kept in `requests`.
+   *
+   * @param {Object|String} specification OAS object, file path or YAML / JSON text
+   * @param {Object} options
+   * @param {String} options.url URL of the provider, defaults to 'http://mock.provider'
+   * @param {String} options.basePath Base path of the relative $refs of the specification
+   * @param {Object} options.handlers Functions of (request) returning the `status`, `headers` and `body` of the response,
+   *   keyed by the affordance id, `operationId` or 'METHOD /path'. Returning undefined falls back to the synthesized response.
+   */
+  constructor(specification, options = {}) {
+    this.source = specification;
+    this.url = options.url || 'http://mock.provider';
+    this.basePath = options.basePath;
+    this.handlers = options.handlers || {};
+    this.requests = [];
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Service descriptor of the provider, as returned by the register
+   */
+  get service() {
+    return { serviceUrl: this.url, mappingUrl: `${this.url}/oas` };
+  }
+
+  async load() {
+    if (!this.specification) {
+      this.document = await bundleSpecification(this.source, { basePath: this.basePath });
+      this.specification = await loadSpecification(this.source, { basePath: this.basePath });
+    }
+    return this.specification;
+  }
+
+  /**
+   * Fetch implementation answering the requests to the provider
+   *
+   * @param {String} url Request URL
+   * @param {Object} init Request options
+   */
+  async fetch(url, init = {}) {
+    await this.load();
+    const method = (init.method || 'GET').toUpperCase();
+    const [location, search] = url.split('?');
+
+    if (!location.startsWith(this.url)) {
+      return fixtureResponse(url, { status: 404, headers: {}, body: '' });
+    }
+    const path = location.slice(this.url.length) || '/';
+    if (method === 'GET' && path === '/oas') {
+      return jsonResponse(url, 200, this.document);
+    }
+
+    const request = {
+      method,
+      url,
+      path,
+      query: parseQuery(search),
+      headers: lowerCaseKeys(init.headers),
+      body: init.body
+    };
+    this.requests.push(request);
+
+    const operation = this.findOperation(method, path);
+    if (!operation) {
+      debug(`no operation for ${method} ${path}`);
+      return jsonResponse(url, 404, { title: 'Not Found', status: 404, detail: `No operation for ${method} ${path}` });
+    }
+    request.pathParameters = operation.pathParameters;
+
+    const affordance = (operation.details[mapping.OAS_PROFILE_KEY] || '').split('#').pop();
+    const handler = this.handlers[affordance] || this.handlers[operation.details.operationId] || this.handlers[`${method} ${operation.path}`];
+    const handled = handler ? await handler(request) : undefined;
+    if (handled) {
+      const body = (handled.body === undefined || typeof handled.body === 'string') ? handled.body : JSON.stringify(handled.body);
+      const headers = Object.assign({}, (typeof handled.body === 'object') ? { 'content-type': 'application/json' } : {}, lowerCaseKeys(handled.headers));
+      return fixtureResponse(url, { status: handled.status || 200, headers, body: body || '' });
+    }
+
+    return this.synthesizedResponse(url, operation.details);
+  }
+
+  /**
+   * Find the operation of the request, path templates are matched against the path
+   *
+   * @param {String} method HTTP method
+   * @param {String} path Request path
+   */
+  findOperation(method, path) {
+    for (const template in this.specification.paths) {
+      const names = [];
+      const pattern = new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (m, name) => {
+        names.push(name);
+        return '([^/]+)';
+      })}$`);
+
+      const match = pattern.exec(path);
+      const details = match && this.specification.paths[template][method.toLowerCase()];
+      if (details && METHODS.includes(method.toLowerCase())) {
+        const pathParameters = {};
+        names.forEach((name, index) => { pathParameters[name] = decodeURIComponent(match[index + 1]); });
+        return { path: template, details, pathParameters };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Response with the value synthesized from the first documented 2xx response
+   *
+   * @param {String} url Request URL
+   * @param {Object} operation OAS operation
+   */
+  synthesizedResponse(url, operation) {
+    const codes = Object.keys(operation.responses || {}).filter(code => code[0] === '2').sort();
+    const code = codes[0] || 'default';
+    const status = /^[0-9]{3}$/.test(code) ? parseInt(code, 10) : 200;
+    const content = ((operation.responses || {})[code] || {}).content;
+    if (!content || status === 204) {
+      return fixtureResponse(url, { status, headers: {}, body: '' });
+    }
+
+    const mediaTypes = Object.keys(content);
+    const mediaType = mediaTypes.find(type => /[/+]json(;|$)/.test(type)) || mediaTypes[0];
+    const value = synthesize(content[mediaType].schema);
+    const body = (typeof value === 'string' && !/json/.test(mediaType)) ? value : JSON.stringify(value);
+    return fixtureResponse(url, { status, headers: { 'content-type': mediaType }, body });
+  }
+}
+
+/**
+ * Wrap fetch storing the HTTP exchanges as fixtures
+ *
+ * Exchanges are keyed by the method, URL and body of the request. Credentials and the `redact` names are
+ * redacted from the query parameters, the JSON and form fields of the request and response bodies (e.g. the
+ * `client_secret` of a token request and the `access_token` of its response) and the response headers, the
+ * caller gets the response as received. Repeated requests are stored in order, fixtures recorded before are replaced.
+ *
+ * @param {Function} fetch Fetch implementation making the real calls
+ * @param {Object} options
+ * @param {String} options.directory Directory of the fixture files
+ * @param {Object} options.store Storage used instead of the files, see cache.js
+ * @param {Array<String>} options.redact Names of additional sensitive parameters and fields, e.g. `appid`
+ * @returns {Function} Fetch implementation
+ */
+function recordFetch(fetch, options = {}) {
+  const store = fixtureStore(options);
+  const sensitive = options.redact || [];
+  const recorded = new Map();
+
+  return async (url, init = {}) => {
+    const response = await fetch(url, init);
+    const received = { status: response.status, headers: responseHeaders(response), body: await response.text() };
+    const exchange = {
+      request: { method: (init.method || 'GET').toUpperCase(), url: redactedUrl(url, sensitive) },
+      response: {
+        status: received.status,
+        headers: redact(received.headers, sensitive),
+        body: redactBody(received.body, sensitive)
+      }
+    };
+
+    const key = fixtureKey(url, init, sensitive);
+    const exchanges = recorded.has(key) ? recorded.get(key) : [];
+    exchanges.push(exchange);
+    recorded.set(key, exchanges);
+    await store.set(key, exchanges);
+    debug(`recorded ${key}`);
+
+    return fixtureResponse(url, received);
+  };
+}
+
+/**
+ * Fetch implementation serving the recorded fixtures
+ *
+ * Repeated requests are answered by the exchanges in the order they were recorded, the last one is repeated.
+ *
+ * @param {Object} options
+ * @param {String} options.directory Directory of the fixture files
+ * @param {Object} options.store Storage used instead of the files, see cache.js
+ * @param {Array<String>} options.redact Names of additional sensitive parameters and fields, as recorded
+ * @returns {Function} Fetch implementation, fails with FixtureNotFoundError for requests not recorded
+ */
+function replayFetch(options = {}) {
+  const store = fixtureStore(options);
+  const sensitive = options.redact || [];
+  const served = new Map();
+
+  return async (url, init = {}) => {
+    const key = fixtureKey(url, init, sensitive);
+    const exchanges = await store.get(key);
+    if (!exchanges || !exchanges.length) {
+      throw new FixtureNotFoundError(key);
+    }
+
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+    return fixtureResponse(url, exchanges[Math.min(index, exchanges.length - 1)].response);
+  };
+}
+
+export class MemoryRegister {
+  /**
+   * In-memory register with the interface of Register
+   *
+   * Services registered with a `ttl` (seconds) are dropped when their lease expires.
+   *
+   * @param {Array<Object>} services Services registered initially
+   */
+  constructor(services = []) {
+    this.services = new Map();
+    this.nextId = 1;
+    services.forEach(service => this.add(service));
+  }
+
+  async findServices(profileId, filters = {}) {
+    const services = this.matching(Object.assign({}, filters, { profile: profileId }));
+    if (!services.length) {
+      throw new ServiceNotFoundError(profileId);
+    }
+    return services;
+  }
+
+  async listServices(filters = {}) {
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const services = this.matching(filters);
+    return {
+      services: services.slice((page - 1) * limit, page * limit),
+      page,
+      limit,
+      total: services.length,
+      next: (page * limit < services.length) ? page + 1 : null
+    };
+  }
+
+  async getService(location) {
+    return copy(this.entry(location));
+  }
+
+  async registerService(service) {
+    this.expire();
+    for (const [location, registered] of this.services) {
+      if (registered.serviceUrl === service.serviceUrl && registered.semanticProfile === service.semanticProfile) {
+        return { result: 'conflict', service: copy(registered), location };
+      }
+    }
+
+    const location = this.add(service);
+    return { result: 'created', service: copy(this.services.get(location)), location };
+  }
+
+  async updateService(location, changes) {
+    const service = Object.assign(this.entry(location), changes);
+    setExpiry(service);
+    return copy(service);
+  }
+
+  async unregisterService({ serviceUrl }) {
+    this.entry(serviceUrl);
+    this.services.delete(locationPath(serviceUrl));
+  }
+
+  add(service) {
+    const id = this.nextId++;
+    const location = `/api/registry/${id}`;
+    const entry = Object.assign({ id }, service);
+    setExpiry(entry);
+    this.services.set(location, entry);
+    return location;
+  }
+
+  entry(location) {
+    this.expire();
+    const path = locationPath(location);
+    if (!this.services.has(path)) {
+      throw new RegistryError(`Service ${location} not found`, { result: 'failed', status: 404 });
+    }
+    return this.services.get(path);
+  }
+
+  matching({ profile, metadata, tags }) {
+    this.expire();
+    return Array.from(this.services.values())
+      .filter(service => !profile || service.semanticProfile === profile)
+      .filter(service => Object.keys(metadata || {}).every(name => String((service.metadata || {})[name]) === String(metadata[name])))
+      .filter(service => (tags || []).every(tag => (service.tags || []).includes(tag)))
+      .map(copy);
+  }
+
+  expire() {
+    const now = Date.now();
+    for (const [location, service] of this.services) {
+      if (service.expiresAt && Date.parse(service.expiresAt) <= now) {
+        debug(`lease of ${location} expired`);
+        this.services.delete(location);
+      }
+    }
+  }
+}
+
+// Location of the service without the origin, absolute and relative locations are the same
+function locationPath(location) {
+  return location.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+}
+
+function setExpiry(service) {
+  if (typeof service.ttl === 'number') {
+    service.expiresAt = new Date(Date.now() + service.ttl * 1000).toISOString();
+  }
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function fixtureStore(options = {}) {
+  return options.store || new FileCache({ directory: options.directory });
+}
+
+function fixtureKey(url, init, sensitive) {
+  const body = redactBody((typeof init.body === 'string') ? init.body : (init.body ? String(init.body) : ''), sensitive);
+  return `${(init.method || 'GET').toUpperCase()} ${redactedUrl(url, sensitive)}${body ? `\n${body}` : ''}`;
+}
+
+function redactedUrl(url, sensitive) {
+  const [location, search] = url.split('?');
+  return redactUrl(location, search ? search.split('&') : [], sensitive);
+}
+
+//
+// Body text with the sensitive JSON properties or form fields redacted, other bodies are kept as they are
+//
+function redactBody(body, sensitive) {
+  if (!body) {
+    return body;
+  }
+  try {
+    const value = JSON.parse(body);
+    return (value && typeof value === 'object') ? JSON.stringify(redact(value, sensitive)) : body;
+  }
+  catch (e) {
+    if (!FORM_PATTERN.test(body)) {
+      return body;
+    }
+    return body.split('&').map(pair => {
+      const name = pair.split('=')[0];
+      return isSensitive(decodeURIComponent(name), sensitive) ? `${name}=[REDACTED]` : pair;
+    }).join('&');
+  }
+}
+
+function parseQuery(search) {
+  const query = {};
+  (search ? search.split('&') : []).forEach(pair => {
+    const [name, value = ''] = pair.split('=');
+    query[decodeURIComponent(name)] = decodeURIComponent(value.replace(/\+/g, ' '));
+  });
+  return query;
+}
+
+function lowerCaseKeys(headers = {}) {
+  const result = {};
+  for (const name in headers) {
+    result[name.toLowerCase()] = headers[name];
+  }
+  return result;
+}
+
+function responseHeaders(response) {
+  const headers = {};
+  if (response.headers && typeof response.headers.forEach === 'function') {
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+  }
+  return headers;
+}
+
+function jsonResponse(url, status, value) {
+  return fixtureResponse(url, { status, headers: { 'content-type': 'application/json' }, body: JSON.stringify(value) });
+}
+
+/**
+ * Response-like object of the status, headers and body text
+ *
+ * @param {String} url Request URL
+ * @param {Object} exchange Response `status`, `headers` and `body`
+ */
+function fixtureResponse(url, { status, headers, body }) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    url,
+    body,
+    headers: {
+      get: (name) => (name.toLowerCase() in headers) ? headers[name.toLowerCase()] : null,
+      has: (name) => name.toLowerCase() in headers,
+      forEach: (callback) => Object.keys(headers).forEach(name => callback(headers[name], name))
+    },
+    text: async () => body,
+    json: async () => JSON.parse(body),
+    clone: () => fixtureResponse(url, { status, headers, body })
+  };
+}
+
+export {
+  recordFetch,
+  replayFetch
+}
@@ -0,0 +1,169 @@
+//
+//  ALPS profile documents
+//  ----------------------
+//
+//  Parses ALPS documents (JSON or XML) and describes the profile the way the mapping refers to it:
+//
+//  - affordances (safe, unsafe and idempotent descriptors) are operations, e.g. `RetrieveAlert`
+//  - descriptors nested in an affordance are its inputs, identified within the affordance: `RetrieveAlert/addressLocality`,
+//    referenced inputs (`href`) keep the id of the descriptor they reference in `ref`: `addressLocality`
+//  - descriptors reachable from the affordance return type (`rt`) are its outputs, e.g. `ActualWeatherAlert/title`
+//
+import { parseXml } from './mediaTypes'
+
+const AFFORDANCE_TYPES = ['safe', 'unsafe', 'idempotent'];
+
+/**
+ * Parse the ALPS document
+ *
+ * @param {Object|String} source ALPS document, parsed JSON or JSON / XML text
+ * @returns {Object} The profile `version`, `doc`, `link`s and tree of `descriptors`
+ */
+function parseAlps(source) {
+  let document = source;
+  if (typeof source === 'string') {
+    document = source.trim().startsWith('<')
+      ? { alps: parseXml(source) }
+      : JSON.parse(source);
+  }
+
+  const alps = (document && document.alps) || document;
+  if (!alps || typeof alps !== 'object') {
+    throw new Error('not an ALPS document');
+  }
+
+  return {
+    version: alps.version,
+    doc: docText(alps.doc),
+    links: asArray(alps.link),
+    descriptors: asArray(alps.descriptor).map(normalizeDescriptor)
+  };
+}
+
+/**
+ * Describe the operations of the parsed profile
+ *
+ * Nested descriptors are identified by their path, e.g. `ActualWeatherAlert/title`, references (`href`)
+ * point to the descriptor identified by the fragment.
+ *
+ * @param {Object} alps Profile parsed by parseAlps()
+ * @returns {Object} `operations` keyed by the affordance id and `identifiers`, all value identifiers the profile defines
+ */
+function describeProfile(alps) {
+  const index = {};
+  const indexDescriptor = (parentId) => (descriptor) => {
+    if (!descriptor.id) {
+      return;
+    }
+    const id = parentId ? `${parentId}/${descriptor.id}` : descriptor.id;
+    index[id] = descriptor;
+    descriptor.descriptors.forEach(indexDescriptor(id));
+  };
+  alps.descriptors.forEach(indexDescriptor(null));
+
+  const operations = {};
+  const identifiers = new Set();
+  for (const id in index) {
+    const descriptor = index[id];
+    if (!AFFORDANCE_TYPES.includes(descriptor.type)) {
+      identifiers.add(id);
+      continue;
+    }
+
+    // Inputs are identified within the affordance whether nested or referenced
+    const inputs = [];
+    for (const nested of descriptor.descriptors) {
+      const target = nested.href ? index[referencedId(nested.href)] : nested;
+      const name = nested.id || (nested.href && referencedId(nested.href).split('/').pop());
+      if (!name || (target && AFFORDANCE_TYPES.includes(target.type))) continue;
+
+      const input = { id: `${id}/${name}`, name, doc: nested.doc || (target && target.doc) };
+      if (nested.href) {
+        input.ref = referencedId(nested.href);
+      }
+      inputs.push(input);
+      identifiers.add(`${id}/${name}`);
+    }
+
+    operations[id] = {
+      id,
+      type: descriptor.type,
+      doc: descriptor.doc,
+      inputs,
+      outputs: descriptor.rt ? collectOutputs(index, referencedId(descriptor.rt)) : []
+    };
+  }
+
+  return { operations, identifiers };
+}
+
+/**
+ * Descriptors reachable from the return type, including the return type itself
+ *
+ * @param {Object} index Descriptors keyed by their identifier
+ * @param {String} id Return type identifier
+ * @param {Array} outputs Outputs collected so far
+ */
+function collectOutputs(index, id, outputs = []) {
+  const descriptor = index[id];
+  if (!descriptor || outputs.some(output => output.id === id)) {
+    return outputs;
+  }
+
+  outputs.push({ id, doc: descriptor.doc, collection: descriptor.descriptors.length > 0 });
+  for (const nested of descriptor.descriptors) {
+    if (AFFORDANCE_TYPES.includes(nested.type)) continue;
+
+    if (nested.href) {
+      collectOutputs(index, referencedId(nested.href), outputs);
+    } else if (nested.id) {
+      collectOutputs(index, `${id}/${nested.id}`, outputs);
+    }
+  }
+  return outputs;
+}
+
+function normalizeDescriptor(descriptor) {
+  return {
+    id: descriptor.id,
+    href: descriptor.href,
+    name: descriptor.name,
+    type: descriptor.type || 'semantic',
+    rt: descriptor.rt,
+    doc: docText(descriptor.doc),
+    descriptors: asArray(descriptor.descriptor).map(normalizeDescriptor)
+  };
+}
+
+/**
+ * Id of the descriptor the reference points to, e.g. "#title" or "http://example.com/profile#title" -> "title"
+ *
+ * @param {String} reference
+ */
+function referencedId(reference) {
+  const index = reference.indexOf('#');
+  return (index >= 0) ? reference.slice(index + 1) : reference;
+}
+
+function docText(doc) {
+  if (doc === undefined || doc === null) {
+    return undefined;
+  }
+  if (typeof doc === 'string') {
+    return doc;
+  }
+  return doc.value || doc['#text'] || undefined;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+export {
+  AFFORDANCE_TYPES,
+  parseAlps,
+  describeProfile
+}
@@ -0,0 +1,302 @@
+import Debug from 'debug';
+import * as mapping from './mappingSpec'
+import { MissingRequiredParameterError, MappingSpecError } from '../errors'
+
+const debug = Debug('superdriver:body');
+
+// Request media types in the order of the support, see encodeBody()
+const JSON_MEDIA_TYPE = /^application\/(.+\+)?json$/;
+const SUPPORTED_MEDIA_TYPES = [
+  JSON_MEDIA_TYPE,
+  /^application\/x-www-form-urlencoded$/,
+  /^multipart\/form-data$/,
+  /^text\/plain$/,
+  /^application\/octet-stream$/
+];
+
+/**
+ * Pick the first request media type declared in the mapping that is supported
+ *
+ * @param {Object} content OAS request body content object
+ * @returns {String} Media type, undefined if none is supported
+ */
+function selectMediaType(content) {
+  return Object.keys(content || {}).find(mediaType => {
+    const supported = SUPPORTED_MEDIA_TYPES.some(re => re.test(mediaType.split(';')[0].trim()));
+    if (!supported) debug(`request media type '${mediaType}' not yet supported`);
+    return supported;
+  });
+}
+
+/**
+ * Build the request body value from the request body schema
+ *
+ * The schema is walked the same way util/map.js walks response schemas: nested objects and arrays are followed,
+ * profile values can be mapped at any depth. Values of profile ids mapped inside arrays are expected to be arrays,
+ * one value per array item.
+ *
+ * @param {Object} requestBody OAS request body object
+ * @param {Object} schema Schema of the selected media type
+ * @param {Function} resolve Function of (schema, indices, path) returning `{ value, provided }` for schemas with
+ *                           a value (`provided` is true for the caller's profile values), undefined otherwise
+ * @returns {any} Body value, undefined when there is nothing to send
+ */
+function buildBody(requestBody, schema, resolve) {
+  const result = buildValue(schema, resolve, [], []);
+  if (result) {
+    return result.value;
+  }
+
+  if (requestBody.required) {
+    // Report the first missing required value
+    checkRequired(schema, {}, []);
+    const profileId = findProfileId(schema);
+    if (profileId) {
+      throw new MissingRequiredParameterError('requestBody', profileId);
+    }
+  }
+
+  return undefined;
+}
+
+function buildValue(schema, resolve, indices, path) {
+  const resolved = resolve(schema, indices, path);
+  if (resolved !== undefined) {
+    return resolved;
+  }
+
+  if (schema.properties) {
+    return buildObject(schema, resolve, indices, path);
+  }
+
+  if (schema.type === 'array' && isObject(schema.items)) {
+    return buildArray(schema, resolve, indices, path);
+  }
+
+  return undefined;
+}
+
+function buildObject(schema, resolve, indices, path) {
+  const value = {};
+  let built = false;
+  let provided = false;
+
+  for (const key in schema.properties) {
+    const result = buildValue(schema.properties[key], resolve, indices, path.concat(key));
+    if (result) {
+      value[key] = result.value;
+      built = true;
+      provided = provided || result.provided;
+    }
+  }
+
+  if (!built) {
+    return undefined;
+  }
+
+  checkRequired(schema, value, path);
+  return { value, provided };
+}
+
+function buildArray(schema, resolve, indices, path) {
+  const items = [];
+
+  // Build items as long as the caller provides values for them
+  for (let i = 0; ; i++) {
+    const result = buildValue(schema.items, resolve, indices.concat(i), path.concat(i));
+    if (!result || !result.provided) {
+      break;
+    }
+    items.push(result.value);
+  }
+
+  return items.length ? { value: items, provided: true } : undefined;
+}
+
+/**
+ * Check that required properties mapped to the profile are present
+ *
+ * @param {Object} schema Object schema
+ * @param {Object} value Object built so far
+ * @param {Array} path Path to the object in the body
+ */
+function checkRequired(schema, value, path) {
+  for (const key of (schema.required || [])) {
+    if (key in value || !schema.properties || !schema.properties[key]) {
+      continue;
+    }
+
+    const profileId = findProfileId(schema.properties[key]);
+    if (profileId) {
+      throw new MissingRequiredParameterError(path.concat(key).join('.'), profileId);
+    }
+  }
+}
+
+/**
+ * Find the first profile id mapped in the schema
+ *
+ * @param {Object} schema
+ */
+function findProfileId(schema) {
+  if (!isObject(schema)) {
+    return undefined;
+  }
+
+  if (mapping.OAS_PROFILE_KEY in schema) {
+    return schema[mapping.OAS_PROFILE_KEY];
+  }
+
+  for (const key in (schema.properties || {})) {
+    const profileId = findProfileId(schema.properties[key]);
+    if (profileId) return profileId;
+  }
+
+  return findProfileId(schema.items);
+}
+
+/**
+ * Encode the body value according to the media type
+ *
+ * @param {String} mediaType Selected request media type
+ * @param {any} value Body value
+ * @param {Object} mediaTypeObject OAS media type object, its `encoding` is used for multipart bodies
+ * @returns {Object} Encoded `body` and the `contentType` header value, undefined content type lets fetch decide
+ */
+function encodeBody(mediaType, value, mediaTypeObject = {}) {
+  const type = mediaType.split(';')[0].trim();
+
+  if (JSON_MEDIA_TYPE.test(type)) {
+    return { body: JSON.stringify(value), contentType: mediaType };
+  }
+
+  if (type === 'application/x-www-form-urlencoded') {
+    return { body: encodeForm(value), contentType: mediaType };
+  }
+
+  if (type === 'multipart/form-data') {
+    const boundary = `superdriver-${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+    return { body: encodeMultipart(value, mediaTypeObject.encoding || {}, boundary), contentType: `multipart/form-data; boundary=${boundary}` };
+  }
+
+  if (type === 'text/plain') {
+    return { body: String(value), contentType: mediaType };
+  }
+
+  if (type === 'application/octet-stream') {
+    return { body: value, contentType: mediaType };
+  }
+
+  throw new MappingSpecError(`request media type '${mediaType}' not yet supported, contact makers`);
+}
+
+/**
+ * Encode object as application/x-www-form-urlencoded, nested objects use the `key[nested]` notation,
+ * arrays of values repeat the key, arrays of objects use the `key[index][nested]` notation
+ *
+ * @param {Object} value
+ */
+function encodeForm(value) {
+  const pairs = [];
+  const append = (key, item) => {
+    if (item === undefined || item === null) {
+      return;
+    }
+    if (Array.isArray(item)) {
+      item.forEach((element, index) => append(isObject(element) && !(element instanceof Date) ? `${key}[${index}]` : key, element));
+    } else if (isObject(item) && !(item instanceof Date)) {
+      Object.keys(item).forEach(nested => append(`${key}[${nested}]`, item[nested]));
+    } else {
+      const string = (item instanceof Date) ? item.toISOString() : String(item);
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(string)}`);
+    }
+  };
+
+  Object.keys(value || {}).forEach(key => append(key, value[key]));
+  return pairs.join('&');
+}
+
+/**
+ * Encode object as multipart/form-data, objects are sent as JSON parts
+ *
+ * The body is built here rather than by FormData, the default fetch of Node.js can't send FormData.
+ * Files given as Buffer / Uint8Array make a binary body any fetch can send. Files given as Blob make a Blob body,
+ * it needs a fetch supporting Blob bodies (browsers, the native fetch of Node.js passed as `options.fetch`).
+ *
+ * @param {Object} value
+ * @param {Object} encoding OAS encoding object of the media type
+ * @param {String} boundary Multipart boundary
+ * @returns {String|Uint8Array|Blob} Body, a string when all the parts are text
+ */
+function encodeMultipart(value, encoding, boundary) {
+  const chunks = [];
+  const append = (key, item) => {
+    if (item === undefined || item === null) {
+      return;
+    }
+
+    const partType = encoding[key] && encoding[key].contentType;
+    const name = escapeQuoted(key);
+    if (isBlob(item) || isBinary(item)) {
+      const filename = escapeQuoted(item.name || key);
+      const contentType = partType || (isBlob(item) && item.type) || 'application/octet-stream';
+      chunks.push(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\nContent-Type: ${contentType}\r\n\r\n`, item, '\r\n');
+    } else if (isObject(item) && !(item instanceof Date)) {
+      chunks.push(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\nContent-Type: ${partType || 'application/json'}\r\n\r\n${JSON.stringify(item)}\r\n`);
+    } else {
+      const text = (item instanceof Date) ? item.toISOString() : String(item);
+      const header = partType ? `Content-Type: ${partType}\r\n` : '';
+      chunks.push(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n${header}\r\n${text}\r\n`);
+    }
+  };
+
+  for (const key of Object.keys(value || {})) {
+    if (Array.isArray(value[key])) {
+      value[key].forEach(item => append(key, item));
+    } else {
+      append(key, value[key]);
+    }
+  }
+  chunks.push(`--${boundary}--\r\n`);
+
+  if (chunks.some(isBlob)) {
+    return new Blob(chunks);
+  }
+  if (!chunks.some(isBinary)) {
+    return chunks.join('');
+  }
+
+  // Binary body, a Buffer in Node.js as the default fetch sends only strings, Buffers and streams
+  const encoder = new TextEncoder();
+  const parts = chunks.map(chunk => (typeof chunk === 'string') ? encoder.encode(chunk) : chunk);
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const body = (typeof Buffer === 'function') ? Buffer.alloc(length) : new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    body.set(part, offset);
+    offset += part.length;
+  });
+  return body;
+}
+
+function escapeQuoted(value) {
+  return String(value).replace(/["\\\r\n]/g, character => encodeURIComponent(character));
+}
+
+function isBinary(value) {
+  return value instanceof Uint8Array;
+}
+
+function isBlob(value) {
+  return typeof Blob === 'function' && value instanceof Blob;
+}
+
+function isObject(o) {
+  return typeof o === "object" && o !== null;
+}
+
+export {
+  selectMediaType,
+  buildBody,
+  encodeBody
+}
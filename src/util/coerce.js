@@ -0,0 +1,94 @@
+//
+//  Type coercion of provider values
+//  --------------------------------
+//
+//  Converts values to the types declared by the schema when the conversion is lossless, e.g. numeric strings
+//  to numbers or `date-time` strings to Date. Values that can't be converted without a loss are left as they are,
+//  e.g. integers beyond the safe range or numbers out of the double range, so the validation reports them.
+//
+
+const NUMERIC = /^\s*-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+// Decimal numbers with up to 15 significant digits survive the conversion to double and back
+const MAX_EXACT_DIGITS = 15;
+
+/**
+ * Coerce value to the types declared by the schema
+ *
+ * @param {Object} schema Dereferenced JSON Schema
+ * @param {any} value Value to coerce
+ * @returns {any} Coerced value, the original value is not modified
+ */
+function coerce(schema, value) {
+  if (!schema || typeof schema !== 'object' || value === null || value === undefined) {
+    return value;
+  }
+
+  // Composition, apply the subschemas one after another
+  if (schema.allOf) {
+    value = schema.allOf.reduce((result, subschema) => coerce(subschema, result), value);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  if (typeof value === 'string') {
+    if ((type === 'number' || type === 'integer') && NUMERIC.test(value)) {
+      const number = Number(value);
+      if (type === 'integer' ? !Number.isSafeInteger(number) : !Number.isFinite(number)) {
+        return value;
+      }
+      return isExact(value, number) ? number : value;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    if (type === 'string' && (schema.format === 'date-time' || schema.format === 'date')) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? value : date;
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      return value.map((item, i) => coerce(schema.items[i], item));
+    }
+    return schema.items ? value.map(item => coerce(schema.items, item)) : value;
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    const properties = schema.properties || {};
+    const additional = (typeof schema.additionalProperties === 'object') ? schema.additionalProperties : null;
+    if (!schema.properties && !additional) {
+      return value;
+    }
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      const propertySchema = (key in properties) ? properties[key] : additional;
+      result[key] = propertySchema ? coerce(propertySchema, value[key]) : value[key];
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Is the number the exact value of the numeric string, the string round-trips
+ *
+ * @param {String} text Numeric string
+ * @param {Number} number The parsed number
+ */
+function isExact(text, number) {
+  const digits = text.trim().split(/[eE]/)[0].replace(/[-.]/g, '').replace(/^0+/, '').replace(/0+$/, '');
+  if (number === 0) {
+    // Underflow of a non-zero value
+    return digits.length === 0;
+  }
+  return digits.length <= MAX_EXACT_DIGITS || String(number) === text.trim();
+}
+
+export {
+  coerce
+}
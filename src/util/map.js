@@ -4,33 +4,66 @@ import * as mapping from './mappingSpec'
 
 const debug = Debug('superdriver:map');
 
+// Key of the result collections without their own profile id
+const ANONYMOUS_COLLECTION_KEY = '_';
+
+// Cursor pointer standing for the key of a dictionary entry
+const MAP_KEY_POINTER = '#key';
+
 /**
  * Traverse OAS mapping schema object, extracts mapping ids and cursor to the source value
- * 
+ *
+ * The cursor has one JSON pointer per collection level (array or dictionary), the first one points from the root
+ * to the outermost collection, every next one points from a collection item to the next nested collection or
+ * to the value. An empty pointer stands for the value itself (e.g. the response root array or a primitive array item).
+ *
+ * Values of polymorphic schemas (`oneOf`, `anyOf` with `discriminator`) carry conditions on the discriminator
+ * property, they are extracted only from the data matching the schema.
+ *
  * @param {object} obj Mapping schema object
  * @param {array} cursor Array of lodash JSON pointers (path)
- * @returns {array} array of found profileIds together with cursor to their values
+ * @param {array} collections Collection levels on the path, each with its type and the profile id (if mapped)
+ * @param {object} context Traversal context
+ * @param {object} context.root Dereferenced OAS document, used to resolve discriminator mappings
+ * @param {array} context.conditions Discriminator conditions on the path
+ * @param {array} context.ancestors Schemas on the path, guards against circular schemas
+ * @returns {array} array of found profileIds together with cursor to their values and the collection levels
  */
-function traverseMapping(obj, cursor = []) {
+function traverseMapping(obj, cursor = [''], collections = [], context = {}) {
   //debug("f:", JSON.stringify(obj), cursor);
   let results = [];
+  const ancestors = context.ancestors || [];
+  if (!isObject(obj) || ancestors.includes(obj)) {
+    return results;
+  }
+  const localContext = Object.assign({ conditions: [] }, context, { ancestors: [...ancestors, obj] });
 
   // Check if we have a match
   if (mapping.OAS_PROFILE_KEY in obj) {
-    results.push({ profileId: obj[mapping.OAS_PROFILE_KEY], cursor: [...cursor] });
+    results.push({
+      profileId: obj[mapping.OAS_PROFILE_KEY],
+      cursor: [...cursor],
+      collections: [...collections],
+      conditions: [...localContext.conditions]
+    });
     //debug("match: ", results , cursor);
-    //debug('inserted:', _.last(results))
   }
 
-  // Recurse into JSON Schema object properties or JSON Schema array items.
-  // Look for nested profiles.
-  let r;
-  if (obj.type === "object") {
-    r = processObject(obj, cursor);
-  } else if (obj.type === "array") {
-    r = processArray(obj, cursor);
+  // Recurse into JSON Schema object properties, dictionaries or array items, schemas without
+  // explicit type are recognized by their keywords. Look for nested profiles.
+  let r = [];
+  if (obj.type === "object" || (!obj.type && (obj.properties || isObject(obj.additionalProperties)))) {
+    r = r.concat(processObject(obj, cursor, collections, localContext));
+    if (isObject(obj.additionalProperties)) {
+      r = r.concat(processDictionary(obj, cursor, collections, localContext));
+    }
+  } else if (obj.type === "array" || (!obj.type && obj.items)) {
+    r = r.concat(processArray(obj, cursor, collections, localContext));
   }
 
+  // Composition, all the subschemas describe the same value
+  r = r.concat(processComposition(obj, cursor, collections, localContext));
+
   if (r && r.length) results = results.concat(r);
 
   return results;
@@ -42,52 +75,203 @@ function traverseMapping(obj, cursor = []) {
  * 
  * @param {obj} obj 
  * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {array} collections Collection levels on the path
+ * @param {object} context Traversal context
  */
-function processObject(obj, cursor) {
+function processObject(obj, cursor, collections, context) {
   let results = [];
-  let last = cursor[cursor.length - 1];
-  // Iterate the properties, build cursor path in the process
+  // Iterate the properties, extend the last pointer of the cursor
   for (const key in obj.properties) {
     //debug(`processing object '${key}' ...`);
-    //debug(`cursor:`, cursor);
-    //debug(`last: '${last}'`);
-    let localCursor = [...cursor];
-    if (last === "") {
-      localCursor[localCursor.length - 1] = key;
-    } else if (last) {
-      localCursor[localCursor.length - 1] = last + "." + key;
-    } else {
-      localCursor.push(key);
-    }
-    //debug(`cursor:`, cursor);
-    let r = traverseMapping(obj.properties[key], localCursor);
+    let r = traverseMapping(obj.properties[key], extendCursor(cursor, key), collections, context);
     if (r && r.length) results = results.concat(r);
   }
   //debug("object r", results);
   return results;
 }
 
+/**
+ * Proces JSON Schema additionalProperties, the dictionary entries are mapped as a collection
+ *  used by traverseMapping() recursively
+ *
+ * @param {obj} obj
+ * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {array} collections Collection levels on the path
+ * @param {object} context Traversal context
+ */
+function processDictionary(obj, cursor, collections, context) {
+  const collection = {
+    type: 'map',
+    profileId: obj[mapping.OAS_PROFILE_KEY] || null,
+    exclude: Object.keys(obj.properties || {})
+  };
+  const entryCursor = [...cursor, ''];
+  const entryCollections = [...collections, collection];
+
+  let results = traverseMapping(obj.additionalProperties, entryCursor, entryCollections, context);
+
+  // Dictionary key mapped to the profile
+  if (mapping.OAS_PROFILE_MAP_KEY in obj.additionalProperties) {
+    results.push({
+      profileId: obj.additionalProperties[mapping.OAS_PROFILE_MAP_KEY],
+      cursor: [...cursor, MAP_KEY_POINTER],
+      collections: entryCollections,
+      conditions: [...context.conditions]
+    });
+  }
+
+  return results;
+}
+
 /**
  * Proces JSON Schema array items
  *  used by traverseMapping() recursively
  * 
  * @param {obj} obj 
  * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {array} collections Collection levels on the path
+ * @param {object} context Traversal context
  */
-function processArray(obj, cursor) {
+function processArray(obj, cursor, collections, context) {
   // According to JSON Schema "items" can be either an object or array, we handle this in this function...
 
+  if (Array.isArray(obj.items)) {
+    // Tuple, every position has its own schema, the positions are addressed directly
+    let results = [];
+    obj.items.forEach((item, index) => {
+      //debug(`processing tuple item ${index} ...`);
+      let r = traverseMapping(item, extendCursor(cursor, `[${index}]`), collections, context);
+      if (r && r.length) results = results.concat(r);
+    });
+    return results;
+  }
+
   if (isObject(obj.items)) {
     //debug(`processing array item object ...`);
-    cursor.push(""); // Temporary empty path to denote an array value and to be replaced later 
-    return traverseMapping(obj.items, cursor);
+    // New array level, item values are addressed relatively to the item
+    const collection = { type: 'array', profileId: obj[mapping.OAS_PROFILE_KEY] || null };
+    return traverseMapping(obj.items, [...cursor, ''], [...collections, collection], context);
+  }
+
+  return [];
+}
+
+/**
+ * Proces JSON Schema composition (allOf, oneOf, anyOf)
+ *  used by traverseMapping() recursively
+ *
+ * @param {obj} obj
+ * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {array} collections Collection levels on the path
+ * @param {object} context Traversal context
+ */
+function processComposition(obj, cursor, collections, context) {
+  let results = [];
+
+  for (const subschema of (obj.allOf || [])) {
+    results = results.concat(traverseMapping(subschema, cursor, collections, context));
+  }
+
+  for (const keyword of ['oneOf', 'anyOf']) {
+    for (const subschema of (obj[keyword] || [])) {
+      // Polymorphic value, the discriminator decides which schema applies
+      const condition = obj.discriminator ? discriminatorCondition(obj, subschema, cursor, context) : null;
+      const localContext = condition
+        ? Object.assign({}, context, { conditions: [...context.conditions, condition] })
+        : context;
+      results = results.concat(traverseMapping(subschema, cursor, collections, localContext));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Build the condition selecting data described by the polymorphic subschema
+ *
+ * Discriminator values are taken from the discriminator mapping, the enum of the discriminator property
+ * or the name of the subschema in the OAS components.
+ *
+ * @param {object} obj Schema with the discriminator
+ * @param {object} subschema One of the polymorphic subschemas
+ * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {object} context Traversal context
+ * @returns {object} Condition with the collection `level`, `path` to the discriminator property and allowed `values`
+ */
+function discriminatorCondition(obj, subschema, cursor, context) {
+  const propertyName = obj.discriminator.propertyName;
+  const values = [];
+
+  // Explicit mapping of the values to schema references
+  const discriminatorMapping = obj.discriminator.mapping || {};
+  for (const value in discriminatorMapping) {
+    if (resolveSchemaRef(context.root, discriminatorMapping[value]) === subschema) {
+      values.push(value);
+    }
   }
 
-  for (let item of obj.items) {
-    //debug(`processing one array item ...`);
-    cursor.push("");  // see comment above
-    return traverseMapping(item, cursor);
+  // Values declared by the subschema
+  const property = subschema.properties && subschema.properties[propertyName];
+  if (!values.length && property && (property.enum || 'const' in property)) {
+    values.push(...(property.enum || [property.const]));
   }
+
+  // Implicit mapping, the value is the name of the schema
+  if (!values.length && context.root && context.root.components && context.root.components.schemas) {
+    const schemas = context.root.components.schemas;
+    values.push(...Object.keys(schemas).filter(name => schemas[name] === subschema));
+  }
+
+  if (!values.length) {
+    debug(`discriminator value of a subschema not found, mapping it unconditionally`);
+    return null;
+  }
+
+  const last = cursor[cursor.length - 1];
+  return {
+    level: cursor.length - 1,
+    path: last ? `${last}.${propertyName}` : propertyName,
+    values
+  };
+}
+
+/**
+ * Resolve discriminator mapping reference, either a JSON reference or a schema name
+ *
+ * @param {object} root Dereferenced OAS document
+ * @param {string} ref Reference
+ */
+function resolveSchemaRef(root, ref) {
+  if (!root || typeof ref !== 'string') {
+    return undefined;
+  }
+
+  if (!ref.startsWith('#/')) {
+    return root.components && root.components.schemas && root.components.schemas[ref];
+  }
+
+  return ref.slice(2).split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, segment) => isObject(node) ? node[segment] : undefined, root);
+}
+
+/**
+ * Extend the last pointer of the cursor with the key
+ *
+ * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {string} key Property key, or tuple index in brackets
+ */
+function extendCursor(cursor, key) {
+  const localCursor = [...cursor];
+  const last = localCursor[localCursor.length - 1];
+  if (!last) {
+    localCursor[localCursor.length - 1] = key;
+  } else if (key[0] === '[') {
+    localCursor[localCursor.length - 1] = last + key;
+  } else {
+    localCursor[localCursor.length - 1] = last + "." + key;
+  }
+  return localCursor;
 }
 
 /**
@@ -102,24 +286,50 @@ function isObject(o) {
 
 /**
  * Extract value from data based on the cursor
+ *
+ * Values inside collections are returned as (nested) arrays, one value per array item or dictionary entry.
  * 
  * @param {object} data Data source to extract teh value from
  * @param {array} cursor Array of lodash JSON pointers (path)
+ * @param {array} collections Collection levels of the cursor
+ * @param {array} conditions Discriminator conditions of the value
+ * @param {number} level Collection level of the data
+ * @param {string} key Key of the data when it is a dictionary entry
  */
-function extractValue(data, cursor) {
+function extractValue(data, cursor, collections = [], conditions = [], level = 0, key = undefined) {
   //debug('--> ', cursor)
-  const value = _get(data, cursor[0]);
-  if (Array.isArray(value)) {
-    const arrayValue = [];
-    // Resolved value is an array, recurse into each "leg"
-    for (let element of value) {
-      arrayValue.push(extractValue(element, cursor.slice(1)));
+  // Polymorphic data of another schema
+  for (const condition of conditions) {
+    if (condition.level === level && !condition.values.includes(_get(data, condition.path))) {
+      return undefined;
     }
-    return arrayValue;
-  } else {
+  }
+
+  if (cursor[0] === MAP_KEY_POINTER) {
+    return key;
+  }
+
+  const value = cursor[0] ? _get(data, cursor[0]) : data;
+  if (cursor.length === 1) {
     // use the value directly
     return value;
   }
+
+  const collection = collections[0] || {};
+  if (collection.type === 'map' && isObject(value) && !Array.isArray(value)) {
+    // Dictionary, recurse into each entry
+    return Object.keys(value)
+      .filter(entryKey => !collection.exclude.includes(entryKey))
+      .map(entryKey => extractValue(value[entryKey], cursor.slice(1), collections.slice(1), conditions, level + 1, entryKey));
+  }
+
+  if (!Array.isArray(value)) {
+    // Collection expected, the provider has no items
+    return undefined;
+  }
+
+  // Resolved value is an array, recurse into each "leg"
+  return value.map(element => extractValue(element, cursor.slice(1), collections.slice(1), conditions, level + 1));
 }
 
 /**
@@ -127,8 +337,9 @@ function extractValue(data, cursor) {
  * 
  * @param {object} mappingSchema Mapping schema object
  * @param {any} responseData Provider response data
+ * @param {object} root Optional dereferenced OAS document the schema is part of, used to resolve discriminators
  */
-function mapResponse(mappingSchema, responseData) {
+function mapResponse(mappingSchema, responseData, root) {
   // First, find any mappings in the mapping schema and resolve them into array of fully qualified profile ids and JSON Pointer cursor
   //
   // The structure might looks as follows:
@@ -136,21 +347,23 @@ function mapResponse(mappingSchema, responseData) {
   // {
   //   profileId: 'http://supermodel.io/superface/CRM/profile/Customers#RetrieveCustomers/name',
   //   cursor: [ 'companies', 'properties.name.value' ],
+  //   collections: [ { profileId: 'http://supermodel.io/superface/CRM/profile/Customers#Customers' } ]
   // },
   // {
   //   profileId: 'http://supermodel.io/superface/CRM/profile/Customers#RetrieveCustomers/timestamp',
   //   cursor: [ 'companies', 'properties.name.timestamp' ],
+  //   collections: [ { profileId: 'http://supermodel.io/superface/CRM/profile/Customers#Customers' } ]
   // }  
   //
   // Where cursor is an array of JSON pointers - paths usable by lodash package. When cursor has multiple elements it indicates that the mapped value
-  //  is from within an array, each ponter then needs to be resolved relatively to that array.
+  //  is from within an array, each ponter then needs to be resolved relatively to that array. Collections describe these arrays.
   // 
-  const valueMapping = traverseMapping(mappingSchema);
+  const valueMapping = traverseMapping(mappingSchema, undefined, undefined, { root });
 
   // Iterate all mappings and extract value from the response data
   for (let mapping of valueMapping) {
     // Solve one result at a time 
-    let val = extractValue(responseData, mapping.cursor);
+    let val = extractValue(responseData, mapping.cursor, mapping.collections, mapping.conditions);
 
     // Extend the value mapping object with the actual values
     mapping.value = val;
@@ -159,4 +372,52 @@ function mapResponse(mappingSchema, responseData) {
   return valueMapping;
 }
 
-export default mapResponse;
\ No newline at end of file
+/**
+ * Assign mapped value to the profile result, rebuilding the nested collections
+ *
+ * Values from within arrays and dictionaries are spread into collection items, values of the same item end up
+ * in the same item object. Collections are keyed by the local id of the array's profile id, or by '_'.
+ * Items of arrays without profile id that are mapped directly are kept as an array value.
+ *
+ * @param {object} result Profile result object
+ * @param {object} entry Mapped value, as returned by mapResponse()
+ * @param {string} key Key of the value in the result
+ * @param {function} collectionKey Function turning collection profile id into the result key
+ */
+function assignValue(result, entry, key, collectionKey) {
+  const assign = (target, collections, value) => {
+    if (!collections.length) {
+      if (value !== undefined) target[key] = value;
+      return;
+    }
+
+    if (!Array.isArray(value)) {
+      return;
+    }
+
+    const name = collections[0].profileId ? collectionKey(collections[0].profileId) : ANONYMOUS_COLLECTION_KEY;
+    if (!Array.isArray(target[name])) {
+      target[name] = [];
+    }
+
+    value.forEach((item, index) => {
+      if (!isObject(target[name][index])) {
+        target[name][index] = {};
+      }
+      assign(target[name][index], collections.slice(1), item);
+    });
+  };
+
+  // Items of anonymous arrays mapped directly (e.g. array of strings) stay arrays of values
+  let depth = entry.collections.length;
+  while (depth > 0 && !entry.collections[depth - 1].profileId && entry.cursor[depth] === '') {
+    depth--;
+  }
+
+  debug('assigning', key, 'in', depth, 'collection levels');
+  assign(result, entry.collections.slice(0, depth), entry.value);
+  return result;
+}
+
+export { traverseMapping, assignValue };
+export default mapResponse;
@@ -1,7 +1,37 @@
 const OAS_PROFILE_KEY = "x-profile";
+const OAS_PROFILE_MAP_KEY = "x-profile-key";
 const OAS_API_KEY_KEY = "apiKey";
 
+const OAS_SUPER_KEY = 'x-super';
+const OAS_SUPER_SOURCE_KEY = 'source';
+const OAS_SUPER_VALUE_KEY = 'value';
+const OAS_SUPER_PAGINATION_KEY = 'pagination';
+
+// TODO: move to some sort of superdriver spec
+const SUPER_AUTH_API_KEY = "apikey";
+
+const OAS_SOURCE = {
+  basic: {
+    user: 'security-basic-user',
+    password: 'security-basic-password',
+  },
+  apikey: {
+    key: 'security-apikey-key',
+    secret: 'security-apikey-secret'
+  }
+}
+
+const PAGINATION_TYPES = ['link', 'url', 'cursor', 'offset', 'page'];
+
 export {
   OAS_PROFILE_KEY,
-  OAS_API_KEY_KEY
+  OAS_PROFILE_MAP_KEY,
+  OAS_API_KEY_KEY,
+  OAS_SUPER_KEY,
+  OAS_SUPER_SOURCE_KEY,
+  OAS_SUPER_VALUE_KEY,
+  OAS_SUPER_PAGINATION_KEY,
+  SUPER_AUTH_API_KEY,
+  OAS_SOURCE,
+  PAGINATION_TYPES
 }
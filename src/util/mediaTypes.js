@@ -0,0 +1,363 @@
+//
+//  Content negotiation
+//  -------------------
+//
+//  Registry of response body parsers keyed by media type. Parsers turn the wire format into a tree of plain
+//  objects, arrays and values, the mapping layer then works the same whatever the format was.
+//
+//  Media type patterns may use wildcards: `application/*+json`, `text/*` or `*/*`.
+//
+import Debug from 'debug';
+
+const debug = Debug('superdriver:media');
+
+const parsers = [];
+
+/**
+ * Register a response body parser
+ *
+ * @param {String} pattern Media type or media type pattern, e.g. `application/*+json`
+ * @param {Function} parser Function of (text, mediaType) returning the parsed tree
+ */
+function registerParser(pattern, parser) {
+  const normalized = pattern.toLowerCase();
+  const index = parsers.findIndex(entry => entry.pattern === normalized);
+  if (index >= 0) {
+    parsers.splice(index, 1);
+  }
+  parsers.push({ pattern: normalized, parser });
+}
+
+/**
+ * Strip the parameters from the media type, e.g. charset
+ *
+ * @param {String} mediaType
+ */
+function essence(mediaType) {
+  return (mediaType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Specificity of the pattern matching the media type, -1 if it does not match
+ *
+ * @param {String} pattern Media type pattern
+ * @param {String} mediaType Media type essence
+ */
+function specificity(pattern, mediaType) {
+  if (pattern === mediaType) return 3;
+
+  const [patternType, patternSubtype] = pattern.split('/');
+  const [type, subtype] = mediaType.split('/');
+  if (patternType === '*' && patternSubtype === '*') return 0;
+  if (patternType !== type) return -1;
+  if (patternSubtype === '*') return 1;
+
+  // Structured syntax suffix, e.g. application/*+json matches application/hal+json
+  if (patternSubtype.startsWith('*+') && subtype && subtype.endsWith(patternSubtype.slice(1))) return 2;
+  return -1;
+}
+
+/**
+ * Find the parser for the media type, the most specific pattern wins
+ *
+ * @param {String} mediaType Media type
+ * @param {Object} extraParsers Optional parsers keyed by media type pattern, preferred over the registered ones
+ * @returns {Function} The parser, undefined if none matches
+ */
+function findParser(mediaType, extraParsers) {
+  const type = essence(mediaType);
+  const candidates = Object.keys(extraParsers || {})
+    .map(pattern => ({ pattern: pattern.toLowerCase(), parser: extraParsers[pattern], extra: 1 }))
+    .concat(parsers.map(entry => Object.assign({ extra: 0 }, entry)));
+
+  let best;
+  let bestScore = -1;
+  for (const candidate of candidates) {
+    const score = specificity(candidate.pattern, type);
+    if (score < 0) continue;
+    if (score * 2 + candidate.extra > bestScore) {
+      best = candidate;
+      bestScore = score * 2 + candidate.extra;
+    }
+  }
+
+  return best && best.parser;
+}
+
+/**
+ * Read and parse the fetch response body according to its content type
+ *
+ * @param {Response} response Fetch response
+ * @param {Object} extraParsers Optional parsers keyed by media type pattern
+ * @returns {Promise<Object>} Parsed `body` and the `mediaType` of the response
+ */
+async function parseBody(response, extraParsers) {
+  const mediaType = essence(response.headers && response.headers.get('content-type')) || 'application/json';
+  const text = await response.text();
+  if (!text || !text.trim()) {
+    return { mediaType, body: null };
+  }
+
+  const parser = findParser(mediaType, extraParsers);
+  if (!parser) {
+    debug(`no parser for '${mediaType}', using the response text`);
+    return { mediaType, body: text };
+  }
+
+  return { mediaType, body: await parser(text, mediaType) };
+}
+
+/**
+ * Pick the media type of a response to use for the mapping, JSON media types are preferred
+ *
+ * @param {Object} content OAS response content object
+ * @param {Object} extraParsers Optional parsers keyed by media type pattern
+ * @returns {String} Media type, undefined if none can be parsed
+ */
+function selectResponseMediaType(content, extraParsers) {
+  const mediaTypes = Object.keys(content || {}).filter(mediaType => findParser(mediaType, extraParsers));
+  return mediaTypes.find(mediaType => /[/+]json$/.test(essence(mediaType))) || mediaTypes[0];
+}
+
+/**
+ * Build the Accept header value from the media types in the preferred order
+ *
+ * @param {Array<String>} mediaTypes Media types the operation responds with
+ * @param {Object} extraParsers Optional parsers keyed by media type pattern
+ */
+function acceptHeader(mediaTypes, extraParsers) {
+  const supported = [...new Set(mediaTypes.map(essence))].filter(mediaType => findParser(mediaType, extraParsers));
+  if (!supported.length) {
+    return 'application/json';
+  }
+
+  // Decreasing quality in the preferred order, problem details for the error responses
+  const values = supported.map((mediaType, i) => i ? `${mediaType};q=${Math.max(0.1, 1 - i / 10).toFixed(1)}` : mediaType);
+  if (!supported.includes('application/problem+json')) {
+    values.push('application/problem+json;q=0.1');
+  }
+  return values.join(', ');
+}
+
+function isXml(mediaType) {
+  return /[/+]xml$/.test(essence(mediaType));
+}
+
+/**
+ * Parse XML document into a tree, the content of the root element is returned
+ *
+ * Child elements become properties (repeated elements become arrays), attributes become properties too.
+ * Text of elements with attributes or children is kept as `#text`. Use conformXml() to shape the tree by a schema.
+ * Malformed documents, e.g. with unbalanced tags, throw SyntaxError as JSON.parse() does.
+ *
+ * @param {String} text XML document
+ */
+function parseXml(text) {
+  const root = { children: {}, text: '' };
+  const stack = [root];
+  const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  let match;
+  while ((match = token.exec(text))) {
+    const current = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      current.text += match[1];
+    } else if (match[2]) {
+      // Malformed documents fail like JSON.parse() does
+      if (stack.length < 2 || current.name !== localName(match[2])) {
+        throw new SyntaxError(`Unexpected closing tag </${match[2]}> in XML at position ${match.index}`);
+      }
+      stack.pop();
+      const element = current;
+      addChild(stack[stack.length - 1], element.name, elementValue(element));
+    } else if (match[3]) {
+      const element = { name: localName(match[3]), children: {}, attributes: parseAttributes(match[4]), text: '' };
+      if (match[5]) {
+        addChild(current, element.name, elementValue(element));
+      } else {
+        stack.push(element);
+      }
+    } else if (match[6] !== undefined) {
+      current.text += decodeEntities(match[6]);
+    }
+  }
+  if (stack.length > 1) {
+    throw new SyntaxError(`Unclosed element <${stack[stack.length - 1].name}> in XML`);
+  }
+
+  const names = Object.keys(root.children);
+  return names.length ? root.children[names[0]] : null;
+}
+
+function localName(name) {
+  const index = name.indexOf(':');
+  return index >= 0 ? name.slice(index + 1) : name;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attribute.exec(source || ''))) {
+    if (match[1] === 'xmlns' || match[1].startsWith('xmlns:')) continue;
+    attributes[localName(match[1])] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+function addChild(parent, name, value) {
+  if (!(name in parent.children)) {
+    parent.children[name] = value;
+  } else if (Array.isArray(parent.children[name]) && parent.children[name].repeated) {
+    parent.children[name].push(value);
+  } else {
+    const values = [parent.children[name], value];
+    Object.defineProperty(values, 'repeated', { value: true });
+    parent.children[name] = values;
+  }
+}
+
+function elementValue(element) {
+  const hasChildren = Object.keys(element.children).length > 0;
+  const hasAttributes = Object.keys(element.attributes).length > 0;
+  const text = element.text.trim();
+  if (!hasChildren && !hasAttributes) {
+    return text;
+  }
+
+  const value = Object.assign({}, element.attributes, element.children);
+  if (text) {
+    value['#text'] = text;
+  }
+  return value;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-fA-F]+);/g, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Shape parsed XML tree by the schema: single elements become arrays where the schema declares an array,
+ * wrapped arrays are unwrapped and elements renamed with `xml.name` get their property names
+ *
+ * @param {any} value Parsed XML tree, see parseXml()
+ * @param {Object} schema Dereferenced JSON Schema of the value
+ */
+function conformXml(value, schema) {
+  if (!schema || typeof schema !== 'object' || value === null || value === undefined) {
+    return value;
+  }
+
+  if (schema.allOf) {
+    value = schema.allOf.reduce((result, subschema) => conformXml(result, subschema), value);
+  }
+
+  if (schema.type === 'array' || (!schema.type && schema.items)) {
+    const itemSchema = Array.isArray(schema.items) ? {} : (schema.items || {});
+    if (schema.xml && schema.xml.wrapped && typeof value === 'object' && !Array.isArray(value)) {
+      const itemName = (itemSchema.xml && itemSchema.xml.name) || Object.keys(value)[0];
+      value = value[itemName];
+    }
+    if (value === '' || value === undefined) {
+      return [];
+    }
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => conformXml(item, itemSchema));
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+    const result = Object.assign({}, value);
+    for (const key in schema.properties) {
+      const property = schema.properties[key];
+      const name = (property.xml && property.xml.name) || key;
+      if (name in value) {
+        delete result[name];
+        result[key] = conformXml(value[name], property);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Parse CSV (RFC 4180) into array of objects keyed by the header row
+ *
+ * @param {String} text CSV document
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (!header) {
+    return [];
+  }
+  return records.map(record => {
+    const item = {};
+    header.forEach((name, i) => { item[name] = record[i]; });
+    return item;
+  });
+}
+
+// Built-in parsers
+registerParser('application/json', text => JSON.parse(text));
+registerParser('application/*+json', text => JSON.parse(text));
+registerParser('application/xml', parseXml);
+registerParser('text/xml', parseXml);
+registerParser('application/*+xml', parseXml);
+registerParser('text/csv', parseCsv);
+registerParser('text/plain', text => text);
+
+export {
+  registerParser,
+  findParser,
+  parseBody,
+  selectResponseMediaType,
+  acceptHeader,
+  isXml,
+  parseXml,
+  conformXml,
+  parseCsv
+}
@@ -0,0 +1,202 @@
+//
+//  Pagination of collection operations
+//  ------------------------------------
+//
+//  Pagination is described in the mapping by the `x-super` extension of the operation:
+//
+//  x-super:
+//    pagination:
+//      type: link                                  # Link header with rel="next" (used by default when present)
+//      type: url, next: links.next                 # URL of the next page in the response body
+//      type: cursor, cursor: meta.next, parameter: cursor   # cursor (token) in the body, sent as query parameter
+//      type: offset, offset: offset, limit: limit, pageSize: 100
+//      type: page, page: page, size: size, pageSize: 100, start: 1
+//
+//  Next page URLs must stay on the origin of the first page, the credentials of the provider are sent with them.
+//
+import _get from 'lodash.get'
+import { PaginationError } from '../errors'
+
+/**
+ * Parse the Link header (RFC 8288)
+ *
+ * @param {String} value Link header value
+ * @returns {Object} Link URLs keyed by the relation
+ */
+function parseLinkHeader(value) {
+  const links = {};
+  const link = /<([^>]*)>\s*((?:;\s*[^;,]+)*)/g;
+  let match;
+  while ((match = link.exec(value || ''))) {
+    const rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+    if (rel) {
+      rel[1].split(/\s+/).forEach(name => { links[name.toLowerCase()] = match[1]; });
+    }
+  }
+  return links;
+}
+
+/**
+ * Replace query parameter value
+ *
+ * @param {Array<String>} query Encoded `name=value` pairs
+ * @param {String} name Parameter name
+ * @param {any} value New value
+ * @returns {Array<String>} New query
+ */
+function setQueryParameter(query, name, value) {
+  const encodedName = encodeURIComponent(name);
+  return query
+    .filter(pair => pair.split('=')[0] !== encodedName)
+    .concat(`${encodedName}=${encodeURIComponent(value)}`);
+}
+
+/**
+ * Read query parameter value
+ *
+ * @param {Array<String>} query Encoded `name=value` pairs
+ * @param {String} name Parameter name
+ */
+function getQueryParameter(query, name) {
+  const encodedName = encodeURIComponent(name);
+  const pair = query.find(item => item.split('=')[0] === encodedName);
+  return pair ? decodeURIComponent(pair.slice(encodedName.length + 1)) : undefined;
+}
+
+/**
+ * Prepare the request of the first page, adding offset or page parameters when not set by the caller
+ *
+ * @param {Object} pagination Pagination description
+ * @param {Object} httpRequest Request built by Consumer.buildRequest()
+ */
+function firstPageRequest(pagination, httpRequest) {
+  let query = httpRequest.query;
+  if (pagination.type === 'offset') {
+    if (pagination.pageSize && getQueryParameter(query, pagination.limit || 'limit') === undefined) {
+      query = setQueryParameter(query, pagination.limit || 'limit', pagination.pageSize);
+    }
+  } else if (pagination.type === 'page') {
+    if (getQueryParameter(query, pagination.page || 'page') === undefined) {
+      query = setQueryParameter(query, pagination.page || 'page', ('start' in pagination) ? pagination.start : 1);
+    }
+    if (pagination.pageSize && getQueryParameter(query, pagination.size || 'size') === undefined) {
+      query = setQueryParameter(query, pagination.size || 'size', pagination.pageSize);
+    }
+  }
+  return Object.assign({}, httpRequest, { query });
+}
+
+/**
+ * Build the request of the next page
+ *
+ * @param {Object} pagination Pagination description, may be empty to follow Link headers only
+ * @param {Object} httpRequest Request of the current page
+ * @param {Object} httpResponse Response of the current page, as returned by Consumer.execute()
+ * @param {Number} itemCount Number of items on the current page
+ * @returns {Object} Request of the next page, null if this is the last page
+ */
+function nextPageRequest(pagination, httpRequest, httpResponse, itemCount) {
+  const type = pagination.type || 'link';
+
+  if (type === 'link' || type === 'url') {
+    const next = (type === 'link')
+      ? parseLinkHeader(httpResponse.headers.link).next
+      : _get(httpResponse.body, pagination.next);
+    if (!next) {
+      return null;
+    }
+
+    // The URL of the next page carries all its query parameters
+    const current = new URL(requestUrl(httpRequest));
+    const url = new URL(next, current);
+    if (url.origin !== current.origin) {
+      throw new PaginationError(`next page URL ${url.origin}${url.pathname} is outside of the service origin ${current.origin}`);
+    }
+    return Object.assign({}, httpRequest, { url: url.href, query: [] });
+  }
+
+  if (type === 'cursor') {
+    const cursor = _get(httpResponse.body, pagination.cursor);
+    if (cursor === undefined || cursor === null || cursor === '' || !itemCount) {
+      return null;
+    }
+    return Object.assign({}, httpRequest, {
+      query: setQueryParameter(httpRequest.query, pagination.parameter || 'cursor', cursor)
+    });
+  }
+
+  // Offset and page pagination end with a short page
+  const limitName = (type === 'offset') ? (pagination.limit || 'limit') : (pagination.size || 'size');
+  const pageSize = Number(getQueryParameter(httpRequest.query, limitName)) || pagination.pageSize;
+  if (!itemCount || (pageSize && itemCount < pageSize)) {
+    return null;
+  }
+
+  if (type === 'offset') {
+    const offsetName = pagination.offset || 'offset';
+    const offset = Number(getQueryParameter(httpRequest.query, offsetName)) || 0;
+    return Object.assign({}, httpRequest, {
+      query: setQueryParameter(httpRequest.query, offsetName, offset + itemCount)
+    });
+  }
+
+  if (type === 'page') {
+    const pageName = pagination.page || 'page';
+    const page = Number(getQueryParameter(httpRequest.query, pageName));
+    return Object.assign({}, httpRequest, {
+      query: setQueryParameter(httpRequest.query, pageName, (isNaN(page) ? 1 : page) + 1)
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Full URL of the request
+ *
+ * @param {Object} httpRequest Request built by Consumer.buildRequest()
+ */
+function requestUrl(httpRequest) {
+  if (!httpRequest.query.length) {
+    return httpRequest.url;
+  }
+  return `${httpRequest.url}${httpRequest.url.includes('?') ? '&' : '?'}${httpRequest.query.join('&')}`;
+}
+
+/**
+ * Number of items of the normalized page, the size of its largest collection
+ *
+ * @param {Object} result Profile result of the page
+ */
+function countItems(result) {
+  return Object.keys(result || {}).reduce((count, key) => {
+    return Array.isArray(result[key]) ? Math.max(count, result[key].length) : count;
+  }, 0);
+}
+
+/**
+ * Merge the normalized page into the results, collections are concatenated
+ *
+ * @param {Object} result Results so far
+ * @param {Object} page Profile result of the page
+ * @param {Number} maxItems Maximum number of items of a collection
+ */
+function mergePage(result, page, maxItems) {
+  for (const key of Object.keys(page || {})) {
+    if (Array.isArray(page[key])) {
+      result[key] = (result[key] || []).concat(page[key]).slice(0, maxItems);
+    } else if (!(key in result)) {
+      result[key] = page[key];
+    }
+  }
+  return result;
+}
+
+export {
+  parseLinkHeader,
+  firstPageRequest,
+  nextPageRequest,
+  requestUrl,
+  countItems,
+  mergePage
+}
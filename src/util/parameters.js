@@ -0,0 +1,218 @@
+//
+//  OpenAPI Specification parameter serialization
+//  ---------------------------------------------
+//
+//  Serializes parameter values according to the parameter location and its `style` and `explode` properties.
+//  See https://swagger.io/docs/specification/serialization/ and RFC 6570.
+//
+
+// Default style of the parameter by its location
+const DEFAULT_STYLE = {
+  path: 'simple',
+  query: 'form',
+  header: 'simple',
+  cookie: 'form'
+}
+
+// RFC 3986 reserved characters, kept as they are for `allowReserved` query parameters
+const RESERVED = /[:/?#[\]@!$&'()*+,;=]/;
+
+/**
+ * Resolve parameter style and explode, applying OAS defaults
+ *
+ * @param {Object} parameter OAS parameter object
+ * @returns {Object} style and explode of the parameter
+ */
+function styleOf(parameter) {
+  const style = parameter.style || DEFAULT_STYLE[parameter.in];
+  const explode = ('explode' in parameter) ? parameter.explode : (style === 'form');
+  return { style, explode };
+}
+
+/**
+ * Percent-encode a value
+ *
+ * @param {any} value Primitive value
+ * @param {Boolean} allowReserved Keep reserved characters unencoded
+ */
+function encode(value, allowReserved) {
+  const string = (value instanceof Date) ? value.toISOString() : String(value);
+  if (!allowReserved) {
+    return encodeURIComponent(string);
+  }
+
+  return string.split('').map(c => RESERVED.test(c) ? c : encodeURIComponent(c)).join('');
+}
+
+/**
+ * Parameters described with `content` instead of `schema` are serialized as JSON
+ *
+ * @param {Object} parameter OAS parameter object
+ * @param {any} value Parameter value
+ */
+function contentValue(parameter, value) {
+  if (parameter.content && typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Flatten object into array of [key, value] pairs, skipping empty values
+ *
+ * @param {Object} value
+ */
+function entriesOf(value) {
+  return Object.keys(value)
+    .filter(key => value[key] !== undefined && value[key] !== null)
+    .map(key => [key, value[key]]);
+}
+
+/**
+ * Serialize path parameter value, the result replaces `{name}` in the path template
+ *
+ * @param {Object} parameter OAS parameter object
+ * @param {any} value Parameter value
+ * @returns {String}
+ */
+function serializePath(parameter, value) {
+  value = contentValue(parameter, value);
+  const { style, explode } = styleOf(parameter);
+  const name = parameter.name;
+
+  // Prefix and separator of the exploded values
+  let prefix = '';
+  let separator = ',';
+  if (style === 'label') {
+    prefix = '.';
+    separator = explode ? '.' : ',';
+  } else if (style === 'matrix') {
+    prefix = ';';
+    separator = explode ? ';' : ',';
+  }
+
+  if (Array.isArray(value)) {
+    if (style === 'matrix') {
+      return explode
+        ? value.map(item => `;${name}=${encode(item)}`).join('')
+        : `;${name}=${value.map(item => encode(item)).join(',')}`;
+    }
+    return prefix + value.map(item => encode(item)).join(separator);
+  }
+
+  if (isObject(value)) {
+    const entries = entriesOf(value);
+    if (explode) {
+      return prefix + entries.map(([key, item]) => `${encode(key)}=${encode(item)}`).join(separator);
+    }
+
+    const flat = entries.map(([key, item]) => `${encode(key)},${encode(item)}`).join(',');
+    return (style === 'matrix') ? `;${name}=${flat}` : prefix + flat;
+  }
+
+  if (style === 'matrix') {
+    return `;${name}=${encode(value)}`;
+  }
+  return prefix + encode(value);
+}
+
+/**
+ * Serialize query parameter value
+ *
+ * @param {Object} parameter OAS parameter object
+ * @param {any} value Parameter value
+ * @returns {Array<String>} Encoded `name=value` pairs
+ */
+function serializeQuery(parameter, value) {
+  value = contentValue(parameter, value);
+  const { style, explode } = styleOf(parameter);
+  const allowReserved = parameter.allowReserved === true;
+  const name = encode(parameter.name);
+  const enc = item => encode(item, allowReserved);
+
+  if (Array.isArray(value)) {
+    if (explode) {
+      return value.map(item => `${name}=${enc(item)}`);
+    }
+
+    const delimiter = { spaceDelimited: '%20', pipeDelimited: '|' }[style] || ',';
+    return [`${name}=${value.map(enc).join(delimiter)}`];
+  }
+
+  if (isObject(value)) {
+    const entries = entriesOf(value);
+    if (style === 'deepObject') {
+      return entries.map(([key, item]) => `${name}%5B${encode(key)}%5D=${enc(item)}`);
+    }
+    if (explode) {
+      return entries.map(([key, item]) => `${encode(key)}=${enc(item)}`);
+    }
+    return [`${name}=${entries.map(([key, item]) => `${enc(key)},${enc(item)}`).join(',')}`];
+  }
+
+  return [`${name}=${enc(value)}`];
+}
+
+/**
+ * Serialize header parameter value
+ *
+ * @param {Object} parameter OAS parameter object
+ * @param {any} value Parameter value
+ * @returns {String} Header value
+ */
+function serializeHeader(parameter, value) {
+  value = contentValue(parameter, value);
+  const { explode } = styleOf(parameter);
+  const string = item => (item instanceof Date) ? item.toISOString() : String(item);
+
+  if (Array.isArray(value)) {
+    return value.map(string).join(',');
+  }
+
+  if (isObject(value)) {
+    return entriesOf(value)
+      .map(([key, item]) => explode ? `${key}=${string(item)}` : `${key},${string(item)}`)
+      .join(',');
+  }
+
+  return string(value);
+}
+
+/**
+ * Serialize cookie parameter value
+ *
+ * @param {Object} parameter OAS parameter object
+ * @param {any} value Parameter value
+ * @returns {Array<String>} Encoded `name=value` cookie pairs
+ */
+function serializeCookie(parameter, value) {
+  value = contentValue(parameter, value);
+  const { explode } = styleOf(parameter);
+  const name = parameter.name;
+
+  if (Array.isArray(value)) {
+    return explode
+      ? value.map(item => `${name}=${encode(item)}`)
+      : [`${name}=${value.map(item => encode(item)).join(',')}`];
+  }
+
+  if (isObject(value)) {
+    const entries = entriesOf(value);
+    return explode
+      ? entries.map(([key, item]) => `${key}=${encode(item)}`)
+      : [`${name}=${entries.map(([key, item]) => `${encode(key)},${encode(item)}`).join(',')}`];
+  }
+
+  return [`${name}=${encode(value)}`];
+}
+
+export {
+  serializePath,
+  serializeQuery,
+  serializeHeader,
+  serializeCookie
+}
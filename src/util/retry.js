@@ -0,0 +1,175 @@
+import Debug from 'debug';
+import { ProviderTimeoutError } from '../errors'
+
+const debug = Debug('superdriver:retry');
+
+/**
+ * Default request policy
+ *
+ *  - timeout: time in milliseconds to wait for the response, 0 for no timeout
+ *  - retries: maximum number of retries after the first attempt
+ *  - minDelay, maxDelay, factor: exponential backoff between the attempts
+ *  - jitter: randomize the backoff delay to avoid retries in lockstep
+ *  - maxRetryAfter: longest Retry-After (in milliseconds) the policy is willing to wait for
+ */
+const DEFAULT_POLICY = {
+  timeout: 0,
+  retries: 2,
+  minDelay: 200,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
+  maxRetryAfter: 60000
+}
+
+// Methods safe to repeat whatever the failure was
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Statuses meaning the request was not processed, retried for any method
+const RETRY_ANY_METHOD_STATUSES = [429, 503];
+
+// Statuses retried for idempotent methods
+const RETRY_IDEMPOTENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Merge request policies, later policies override the earlier ones
+ *
+ * @param  {...Object} policies Partial policies
+ * @returns {Object} Complete request policy
+ */
+function resolvePolicy(...policies) {
+  return Object.assign({}, DEFAULT_POLICY, ...policies.filter(Boolean));
+}
+
+/**
+ * Fetch with timeout, retrying failed attempts according to the policy
+ *
+ * @param {Function} fetch Implementation of fetch
+ * @param {String} url Request URL
+ * @param {Object} init Fetch options
+ * @param {Object} policy Request policy, see resolvePolicy()
+ * @param {Function} onRetry Optional callback called before each retry with the attempt number, reason and delay
+ * @returns {Promise<Response>} The last response received
+ */
+async function fetchWithPolicy(fetch, url, init, policy, onRetry) {
+  const method = (init.method || 'get').toLowerCase();
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetchWithTimeout(fetch, url, init, policy.timeout);
+    }
+    catch (e) {
+      // Network errors and timeouts, the request might have been processed
+      if (!idempotent || attempt >= policy.retries) {
+        throw e;
+      }
+
+      const delay = backoff(policy, attempt);
+      debug(`  attempt ${attempt + 1} failed (${e.message}), retrying in ${delay} ms`);
+      if (onRetry) onRetry(attempt + 1, e.message, delay);
+      await sleep(delay);
+      continue;
+    }
+
+    const retryable = RETRY_ANY_METHOD_STATUSES.includes(response.status) ||
+      (idempotent && RETRY_IDEMPOTENT_STATUSES.includes(response.status));
+    if (!retryable || attempt >= policy.retries) {
+      return response;
+    }
+
+    let delay = backoff(policy, attempt);
+    const retryAfter = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      if (retryAfter > policy.maxRetryAfter) {
+        debug(`  Retry-After of ${retryAfter} ms exceeds the policy, giving up`);
+        return response;
+      }
+      delay = retryAfter;
+    }
+
+    debug(`  attempt ${attempt + 1} responded HTTP ${response.status}, retrying in ${delay} ms`);
+    if (onRetry) onRetry(attempt + 1, `HTTP ${response.status}`, delay);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fetch, rejecting when no response arrives within the timeout.
+ * The request is aborted when AbortController is available.
+ *
+ * @param {Function} fetch Implementation of fetch
+ * @param {String} url Request URL
+ * @param {Object} init Fetch options
+ * @param {Number} timeout Timeout in milliseconds, 0 for no timeout
+ */
+function fetchWithTimeout(fetch, url, init, timeout) {
+  if (!timeout) {
+    return fetch(url, init);
+  }
+
+  const controller = (typeof AbortController === 'function') ? new AbortController() : null;
+  const options = controller ? Object.assign({}, init, { signal: controller.signal }) : init;
+
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (controller) controller.abort();
+      reject(new ProviderTimeoutError(timeout));
+    }, timeout);
+  });
+
+  return Promise.race([fetch(url, options), timeoutPromise])
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Exponential backoff delay for the attempt
+ *
+ * @param {Object} policy Request policy
+ * @param {Number} attempt Zero-based number of the failed attempt
+ */
+function backoff(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+  if (!policy.jitter) {
+    return delay;
+  }
+
+  // Keep at least half of the delay, randomize the rest
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Parse Retry-After header value, either delay in seconds or HTTP date
+ *
+ * @param {String} value Header value
+ * @returns {Number} Delay in milliseconds, null if not present or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  fetchWithPolicy,
+  parseRetryAfter
+}
@@ -0,0 +1,109 @@
+//
+//  Synthesize values conforming to a JSON schema
+//  ---------------------------------------------
+//
+//  Values are deterministic: `example`, `default`, `const` and `enum` are used when present, otherwise
+//  a value of the type respecting the format, the bounds and the required properties is made up.
+//
+
+const FORMAT_EXAMPLES = {
+  'date-time': '2020-01-01T00:00:00Z',
+  'date': '2020-01-01',
+  'time': '00:00:00Z',
+  'email': 'user@example.com',
+  'uri': 'https://example.com',
+  'url': 'https://example.com',
+  'hostname': 'example.com',
+  'ipv4': '192.0.2.1',
+  'ipv6': '2001:db8::1',
+  'uuid': '00000000-0000-4000-8000-000000000000',
+  'byte': 'c3RyaW5n',
+  'password': 'password'
+};
+
+// Schemas nested deeper are left out, e.g. recursive ones
+const MAX_DEPTH = 8;
+
+/**
+ * Value conforming to the schema
+ *
+ * @param {Object} schema JSON schema (OAS flavour), dereferenced
+ * @param {String} name Optional property name the value is made for
+ * @returns {any} Value
+ */
+function synthesize(schema, name, depth = 0) {
+  if (!schema || depth > MAX_DEPTH) {
+    return null;
+  }
+
+  if (schema.example !== undefined) return schema.example;
+  if (schema.examples && schema.examples.length) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum && schema.enum.length) return schema.enum[0];
+
+  if (schema.allOf) {
+    return schema.allOf
+      .map(part => synthesize(part, name, depth + 1))
+      .reduce((result, value) => (isObject(result) && isObject(value)) ? Object.assign(result, value) : value, undefined);
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return synthesize((schema.oneOf || schema.anyOf)[0], name, depth + 1);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      const result = {};
+      for (const property in schema.properties || {}) {
+        const value = synthesize(schema.properties[property], property, depth + 1);
+        if (value !== null || (schema.required || []).includes(property)) {
+          result[property] = value;
+        }
+      }
+      return result;
+    }
+
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, Math.min(schema.maxItems === undefined ? 1 : schema.maxItems, 1));
+      return Array.from({ length: count }, () => synthesize(schema.items, name, depth + 1));
+    }
+
+    case 'integer':
+    case 'number': {
+      let value = (schema.minimum !== undefined) ? schema.minimum : (schema.maximum !== undefined && schema.maximum < 1) ? schema.maximum : 1;
+      if (schema.exclusiveMinimum === true || (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum)) {
+        value = (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : value) + 1;
+      }
+      if (schema.multipleOf) {
+        value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+      }
+      return (type === 'integer') ? Math.ceil(value) : value;
+    }
+
+    case 'boolean':
+      return true;
+
+    case 'string': {
+      let value = FORMAT_EXAMPLES[schema.format] || name || 'string';
+      if (schema.minLength && value.length < schema.minLength) {
+        value = value.padEnd(schema.minLength, 'x');
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        value = value.slice(0, schema.maxLength);
+      }
+      return value;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function isObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+export {
+  synthesize
+}
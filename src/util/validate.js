@@ -0,0 +1,207 @@
+//
+//  Minimal JSON Schema validation
+//  ------------------------------
+//
+//  Validates values against dereferenced OAS (JSON Schema) schemas. Covers the keywords that matter for
+//  catching invalid requests early: type, format, enum, numeric and length limits, pattern, array and object
+//  constraints and schema composition.
+//
+
+// Format checks, unknown formats are not validated
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'time': value => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})?$/.test(value),
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uri': value => /^[a-zA-Z][a-zA-Z\d+\-.]*:[^\s]*$/.test(value),
+  'uuid': value => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+  'hostname': value => /^(?=.{1,253}$)([a-zA-Z\d]([a-zA-Z\d-]{0,61}[a-zA-Z\d])?)(\.[a-zA-Z\d]([a-zA-Z\d-]{0,61}[a-zA-Z\d])?)*$/.test(value),
+  'ipv4': value => /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/.test(value),
+  'ipv6': value => /^[0-9a-fA-F:.]+$/.test(value) && value.includes(':'),
+  'byte': value => /^[A-Za-z0-9+/]*={0,2}$/.test(value) && value.length % 4 === 0,
+  'int32': value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647,
+  'int64': value => Number.isInteger(value)
+}
+
+/**
+ * Type of a value in JSON Schema terms
+ *
+ * @param {any} value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check the value matches the schema type
+ *
+ * @param {String} type JSON Schema type
+ * @param {String} actual Type of the value, see typeOf()
+ * @param {Object} schema The schema, Date values are accepted for date and date-time strings
+ */
+function matchesType(type, actual, schema) {
+  if (type === actual) return true;
+  if (type === 'number' && actual === 'integer') return true;
+  if (type === 'string' && actual === 'date') return schema.format === 'date-time' || schema.format === 'date';
+  return false;
+}
+
+/**
+ * Validate value against the schema
+ *
+ * @param {Object} schema Dereferenced JSON Schema
+ * @param {any} value Value to validate
+ * @param {String} path Path of the value, used in the error messages
+ * @returns {Array<Object>} Validation errors with the `path`, `keyword` and `message`, empty if the value is valid
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const fail = (keyword, message) => errors.push({ path, keyword, message });
+  const actual = typeOf(value);
+
+  if (value === null) {
+    if (schema.nullable || (Array.isArray(schema.type) && schema.type.includes('null')) || schema.type === 'null') {
+      return errors;
+    }
+    if (schema.type) {
+      fail('type', `must not be null`);
+      return errors;
+    }
+  }
+
+  // Type
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, actual, schema))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  // Enumerations
+  if (schema.enum && !schema.enum.some(item => equals(item, value))) {
+    fail('enum', `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+  if ('const' in schema && !equals(schema.const, value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  // Format
+  if (schema.format && FORMATS[schema.format] && actual !== 'date' && !FORMATS[schema.format](value)) {
+    if (typeof value === 'string' || actual === 'integer' || actual === 'number') {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  // Numbers
+  if (actual === 'integer' || actual === 'number') {
+    // exclusiveMinimum / exclusiveMaximum are booleans in OAS 3.0 and numbers in OAS 3.1
+    if ('minimum' in schema && (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum)) {
+      fail('minimum', `must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}`);
+    }
+    if ('maximum' in schema && (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum)) {
+      fail('maximum', `must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  // Strings
+  if (typeof value === 'string') {
+    if ('minLength' in schema && value.length < schema.minLength) {
+      fail('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if ('maxLength' in schema && value.length > schema.maxLength) {
+      fail('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  // Arrays
+  if (actual === 'array') {
+    if ('minItems' in schema && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if ('maxItems' in schema && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => equals(other, item)) !== i)) {
+      fail('uniqueItems', `must not contain duplicate items`);
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < value.length) errors.push(...validate(itemSchema, value[i], `${path}[${i}]`));
+      });
+    } else if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  // Objects
+  if (actual === 'object') {
+    for (const key of (schema.required || [])) {
+      if (!(key in value)) {
+        fail('required', `must have property '${key}'`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (key in properties) {
+        errors.push(...validate(properties[key], value[key], propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, keyword: 'additionalProperties', message: `is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value[key], propertyPath));
+      }
+    }
+  }
+
+  // Composition
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => errors.push(...validate(subschema, value, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validate(subschema, value, path).length === 0)) {
+    fail('anyOf', `must match at least one of the schemas`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(subschema => validate(subschema, value, path).length === 0).length !== 1) {
+    fail('oneOf', `must match exactly one of the schemas`);
+  }
+
+  return errors;
+}
+
+/**
+ * Deep equality of JSON values
+ */
+function equals(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => equals(a[key], b[key]));
+}
+
+export {
+  validate
+}
@@ -0,0 +1,82 @@
+//
+//  Response coercion and validation
+//  --------------------------------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Consumer, ResponseValidationError } = require('..');
+
+const PROFILE_ID = 'http://profile.test';
+
+const SPECIFICATION = {
+  openapi: '3.0.0',
+  info: { title: 'Counts', version: '1.0.0' },
+  paths: {
+    '/counts': {
+      get: {
+        'x-profile': `${PROFILE_ID}#RetrieveCount`,
+        responses: {
+          200: {
+            description: 'Count',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer', 'x-profile': `${PROFILE_ID}#count` },
+                    ratio: { type: 'number', 'x-profile': `${PROFILE_ID}#ratio` }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Fetch serving the specification and the provider response
+function providerFetch(body) {
+  return async (url) => {
+    const document = url.endsWith('/oas') ? SPECIFICATION : body;
+    return {
+      ok: true,
+      status: 200,
+      body: JSON.stringify(document),
+      headers: new Map([['content-type', 'application/json']]),
+      json: async () => JSON.parse(JSON.stringify(document)),
+      text: async () => JSON.stringify(document)
+    };
+  };
+}
+
+function perform(body) {
+  const consumer = new Consumer({ url: 'https://provider.test', profileId: PROFILE_ID }, {
+    fetch: providerFetch(body),
+    coerce: true,
+    responseValidation: 'error'
+  });
+  return consumer.perform({ operation: 'RetrieveCount', parameters: {}, response: ['count', 'ratio'] });
+}
+
+describe('coerce', () => {
+  it('converts numeric strings to numbers', async () => {
+    assert.deepStrictEqual(await perform({ count: '42', ratio: '0.25' }), { count: 42, ratio: 0.25 });
+    assert.deepStrictEqual(await perform({ count: '1e3', ratio: '19.90' }), { count: 1000, ratio: 19.9 });
+  });
+
+  it('keeps integers beyond the safe range as strings, the validation reports them', async () => {
+    await assert.rejects(perform({ count: '12345678901234567891', ratio: '1' }), error =>
+      error instanceof ResponseValidationError && error.errors[0].path.includes('count'));
+  });
+
+  it('keeps numbers out of the double range as strings, the validation reports them', async () => {
+    await assert.rejects(perform({ count: '1', ratio: '1e400' }), error =>
+      error instanceof ResponseValidationError && error.errors[0].path.includes('ratio'));
+    await assert.rejects(perform({ count: '1', ratio: '1e-400' }), ResponseValidationError);
+    await assert.rejects(perform({ count: '1', ratio: '0.12345678901234567891' }), ResponseValidationError);
+  });
+});
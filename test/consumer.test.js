@@ -0,0 +1,50 @@
+//
+//  Consumer
+//  --------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Consumer, MappingSpecError, ProviderConnectionError } = require('..');
+
+function jsonFetch(document) {
+  return async () => ({
+    ok: true,
+    status: 200,
+    body: JSON.stringify(document),
+    headers: new Map([['content-type', 'application/json']]),
+    json: async () => JSON.parse(JSON.stringify(document))
+  });
+}
+
+const REQUEST = { operation: 'RetrieveAlert', parameters: {}, response: ['title'] };
+
+describe('fetchAPISpecification', () => {
+  it('fails with MappingSpecError when the specification can not be dereferenced', async () => {
+    const consumer = new Consumer({ url: 'https://provider.test', profileId: 'http://profile.test' }, {
+      fetch: jsonFetch({
+        openapi: '3.0.0',
+        info: { title: 'Alerts', version: '1.0.0' },
+        paths: {
+          '/alerts': {
+            get: {
+              'x-profile': 'http://profile.test#RetrieveAlert',
+              responses: { 200: { description: 'Alert', content: { 'application/json': { schema: { $ref: '#/components/schemas/Missing' } } } } }
+            }
+          }
+        }
+      })
+    });
+
+    await assert.rejects(consumer.perform(REQUEST), error => error instanceof MappingSpecError && error.code === 'MAPPING_SPEC_ERROR');
+  });
+
+  it('fails with ProviderConnectionError when the specification can not be fetched', async () => {
+    const consumer = new Consumer({ url: 'https://provider.test', profileId: 'http://profile.test' }, {
+      fetch: async () => { throw new TypeError('getaddrinfo ENOTFOUND provider.test'); }
+    });
+
+    await assert.rejects(consumer.perform(REQUEST), ProviderConnectionError);
+  });
+});
@@ -0,0 +1,93 @@
+//
+//  Service lease
+//  -------------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ServiceLease, RegistryError } = require('..');
+
+const SERVICE = { serviceUrl: 'http://provider.test', profileId: 'http://profile.test' };
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Register double recording the calls, `updateService` behaves as given
+function fakeRegister(updateService) {
+  const calls = [];
+  let registered = 0;
+  return {
+    calls,
+    async registerService(service) {
+      calls.push('register');
+      await delay(5);
+      registered += 1;
+      return { result: 'created', location: `http://register.test/services/${registered}`, service };
+    },
+    async updateService(location, changes) {
+      calls.push('update');
+      return updateService ? updateService(location, changes) : Object.assign({ serviceUrl: SERVICE.serviceUrl }, changes);
+    },
+    async unregisterService({ serviceUrl }) {
+      calls.push(`unregister ${serviceUrl}`);
+    }
+  };
+}
+
+describe('ServiceLease', () => {
+  it('registers the service and unregisters it on stop', async () => {
+    const register = fakeRegister();
+    const lease = new ServiceLease(register, SERVICE, { ttl: 30, unregisterOnExit: false });
+
+    const service = await lease.start();
+    assert.strictEqual(service.serviceUrl, SERVICE.serviceUrl);
+    assert.ok(service.expiresAt instanceof Date);
+    await lease.stop();
+    assert.deepStrictEqual(register.calls, ['register', 'unregister http://register.test/services/1']);
+  });
+
+  it('tears down a registration still in progress when stopped', async () => {
+    const register = fakeRegister();
+    const lease = new ServiceLease(register, SERVICE, { renewInterval: 5, unregisterOnExit: false });
+
+    lease.start();
+    await lease.stop();
+    await delay(30);
+    assert.deepStrictEqual(register.calls, ['register', 'unregister http://register.test/services/1']);
+  });
+
+  it('registers the service again when the register does not know it', async () => {
+    const register = fakeRegister(async () => {
+      throw new RegistryError('gone', { status: 404 });
+    });
+    const registered = [];
+    const lease = new ServiceLease(register, SERVICE, { unregisterOnExit: false, onRegister: service => registered.push(service) });
+
+    await lease.start();
+    await lease.renew();
+    await lease.stop();
+    assert.deepStrictEqual(register.calls, ['register', 'update', 'register', 'unregister http://register.test/services/2']);
+    assert.strictEqual(registered.length, 2);
+  });
+
+  it('keeps renewing when the onError callback throws', async () => {
+    const register = fakeRegister(async () => {
+      throw new RegistryError('unavailable', { status: 503 });
+    });
+    const errors = [];
+    const lease = new ServiceLease(register, SERVICE, {
+      renewInterval: 5,
+      unregisterOnExit: false,
+      onError: (error) => {
+        errors.push(error);
+        throw new Error('callback failed');
+      }
+    });
+
+    await lease.start();
+    await delay(60);
+    await lease.stop();
+    assert.ok(errors.length >= 2, `renewed ${errors.length} times`);
+    assert.ok(errors.every(error => error instanceof RegistryError));
+  });
+});
@@ -0,0 +1,100 @@
+//
+//  Mapping linter
+//  --------------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Consumer, lintMapping, ProfileError } = require('..');
+
+const PROFILE_ID = 'http://profile.test';
+
+const PROFILE = {
+  alps: {
+    descriptor: [
+      { id: 'addressLocality' },
+      { id: 'title' },
+      { id: 'Alert', descriptor: [{ href: '#title' }] },
+      { id: 'RetrieveAlert', type: 'safe', rt: '#Alert', descriptor: [{ href: '#addressLocality' }] }
+    ]
+  }
+};
+
+function specification(inputId) {
+  return {
+    openapi: '3.0.0',
+    info: { title: 'Alerts', version: '1.0.0' },
+    paths: {
+      '/alerts/{city}': {
+        get: {
+          'x-profile': `${PROFILE_ID}#RetrieveAlert`,
+          parameters: [
+            { name: 'city', in: 'path', required: true, schema: { type: 'string' }, 'x-profile': `${PROFILE_ID}#${inputId}` }
+          ],
+          responses: {
+            200: {
+              description: 'Alert',
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: { title: { type: 'string', 'x-profile': `${PROFILE_ID}#title` } } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+describe('lintMapping', () => {
+  it('accepts an input mapped by its id within the affordance', async () => {
+    const result = await lintMapping(specification('RetrieveAlert/addressLocality'), PROFILE);
+    assert.deepStrictEqual(result.issues, []);
+  });
+
+  it('accepts a referenced input mapped by the id of the referenced descriptor', async () => {
+    const result = await lintMapping(specification('addressLocality'), PROFILE);
+    assert.deepStrictEqual(result.issues, []);
+  });
+
+  it('reports a descriptor that is not an input of the affordance', async () => {
+    const result = await lintMapping(specification('title'), PROFILE);
+    const codes = result.issues.map(issue => issue.code);
+    assert.deepStrictEqual(codes.sort(), ['NOT_AN_INPUT', 'UNMAPPED_DESCRIPTOR']);
+    assert.strictEqual(result.valid, true);
+  });
+
+  it('reports an unknown profile id as an error', async () => {
+    const result = await lintMapping(specification('city'), PROFILE);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.issues[0].code, 'UNKNOWN_PROFILE_ID');
+    assert.strictEqual(result.issues[0].pointer, '#/paths/~1alerts~1{city}/get/parameters/0');
+  });
+
+  it('rejects with ProfileError when the profile is not an ALPS document', async () => {
+    await assert.rejects(lintMapping(specification('addressLocality'), 'not alps'), ProfileError);
+    await assert.rejects(lintMapping(specification('addressLocality'), 42), ProfileError);
+  });
+});
+
+describe('referenced inputs at runtime', () => {
+  it('fills a parameter mapped by the referenced descriptor id from the short name', async () => {
+    const urls = [];
+    const fetch = async (url) => {
+      urls.push(url);
+      return {
+        ok: true,
+        status: 200,
+        headers: new Map([['content-type', 'application/json']]),
+        text: async () => JSON.stringify({ title: 'Storm' })
+      };
+    };
+    const consumer = new Consumer({ url: 'http://provider.test', profileId: PROFILE_ID, mapping: specification('addressLocality') }, { fetch });
+
+    const result = await consumer.perform({ operation: 'RetrieveAlert', parameters: { addressLocality: 'Paris' }, response: ['title'] });
+    assert.deepStrictEqual(result, { title: 'Storm' });
+    assert.deepStrictEqual(urls, ['http://provider.test/alerts/Paris']);
+  });
+});
@@ -0,0 +1,92 @@
+//
+//  Provider selection
+//  ------------------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Client, ProviderSelector } = require('..');
+
+const PROFILE_ID = 'http://profile.test';
+
+const SPECIFICATION = {
+  openapi: '3.0.0',
+  info: { title: 'Alerts', version: '1.0.0' },
+  paths: {
+    '/alerts': {
+      get: {
+        'x-profile': `${PROFILE_ID}#RetrieveAlert`,
+        responses: {
+          200: {
+            description: 'Alert',
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { title: { type: 'string', 'x-profile': `${PROFILE_ID}#title` } } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const SERVICES = [{ serviceUrl: 'http://a.test' }, { serviceUrl: 'http://b.test' }, { serviceUrl: 'http://c.test' }];
+
+const json = (value) => new Response(JSON.stringify(value), { headers: { 'content-type': 'application/json' } });
+
+describe('ProviderSelector', () => {
+  it('ranks by the observed latency, providers not used yet first', async () => {
+    const selector = new ProviderSelector({ strategy: 'lowest-latency' });
+    selector.observe(SERVICES[0], 300);
+    selector.observe(SERVICES[1], 100);
+
+    const ranked = await selector.select(SERVICES);
+    assert.deepStrictEqual(ranked.map(service => service.serviceUrl), ['http://c.test', 'http://b.test', 'http://a.test']);
+  });
+
+  it('penalizes failed calls', async () => {
+    const selector = new ProviderSelector({ strategy: 'lowest-latency' });
+    selector.observe(SERVICES[0], 5, true);
+    selector.observe(SERVICES[1], 800);
+
+    const ranked = await selector.select(SERVICES.slice(0, 2));
+    assert.deepStrictEqual(ranked.map(service => service.serviceUrl), ['http://b.test', 'http://a.test']);
+    assert.deepStrictEqual(selector.statsOf(SERVICES[0]), { latency: 10000, calls: 1, failures: 1 });
+  });
+
+  it('filters the services by the allow and deny lists', async () => {
+    const selector = new ProviderSelector({ allow: [/\.test$/], deny: ['http://b.test'] });
+    const ranked = await selector.select(SERVICES);
+    assert.deepStrictEqual(ranked.map(service => service.serviceUrl), ['http://a.test', 'http://c.test']);
+  });
+});
+
+describe('Client with lowest-latency selection', () => {
+  it('does not prefer a provider that failed', async () => {
+    const calls = [];
+    const fetch = async (url) => {
+      calls.push(url);
+      if (url.startsWith('http://a.test')) {
+        throw new Error('connection refused');
+      }
+      return url.endsWith('/oas') ? json(SPECIFICATION) : json({ title: 'Storm' });
+    };
+    const register = { findServices: async () => SERVICES.slice(0, 2) };
+    const client = new Client({ profileId: PROFILE_ID, register }, {
+      cooldown: 0,
+      selection: { strategy: 'lowest-latency' },
+      consumer: { fetch }
+    });
+    const request = { operation: 'RetrieveAlert', parameters: {}, response: ['title'] };
+
+    const first = await client.perform(request);
+    assert.strictEqual(first.service.serviceUrl, 'http://b.test');
+
+    calls.length = 0;
+    const second = await client.perform(request);
+    assert.strictEqual(second.service.serviceUrl, 'http://b.test');
+    assert.ok(calls.every(url => url.startsWith('http://b.test')), `called ${calls.join(', ')}`);
+  });
+});
@@ -0,0 +1,82 @@
+//
+//  Loading of API specifications
+//  -----------------------------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Consumer, loadSpecification, MappingSpecError } = require('..');
+
+const PROFILE_ID = 'http://profile.test';
+
+const SPECIFICATION = {
+  openapi: '3.0.0',
+  info: { title: 'Alerts', version: '1.0.0' },
+  paths: {
+    '/alerts': {
+      get: {
+        'x-profile': `${PROFILE_ID}#RetrieveAlert`,
+        responses: {
+          200: { description: 'Alert', content: { 'application/json': { schema: { $ref: 'schemas.json#/Alert' } } } }
+        }
+      }
+    }
+  }
+};
+
+const SCHEMAS = {
+  Alert: { type: 'object', properties: { title: { type: 'string', 'x-profile': `${PROFILE_ID}#title` } } }
+};
+
+// Fetch serving the documents by URL, the requested URLs are collected
+function documentFetch(documents) {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    if (!(url in documents)) {
+      return { ok: false, status: 404, headers: new Map(), json: async () => null, text: async () => '' };
+    }
+    const text = JSON.stringify(documents[url]);
+    return {
+      ok: true,
+      status: 200,
+      body: text,
+      headers: new Map([['content-type', 'application/json']]),
+      json: async () => JSON.parse(text),
+      text: async () => text
+    };
+  };
+  fetch.requested = requested;
+  return fetch;
+}
+
+describe('loadSpecification', () => {
+  it('reads the remote $refs with the fetch', async () => {
+    const fetch = documentFetch({ 'https://provider.test/schemas.json': SCHEMAS });
+    const api = await loadSpecification(JSON.parse(JSON.stringify(SPECIFICATION)), { basePath: 'https://provider.test/oas', fetch });
+
+    assert.deepStrictEqual(fetch.requested, ['https://provider.test/schemas.json']);
+    assert.strictEqual(api.paths['/alerts'].get.responses[200].content['application/json'].schema.type, 'object');
+  });
+
+  it('fails with MappingSpecError when a remote $ref can not be fetched', async () => {
+    const fetch = documentFetch({});
+    await assert.rejects(loadSpecification(JSON.parse(JSON.stringify(SPECIFICATION)), { basePath: 'https://provider.test/oas', fetch }), MappingSpecError);
+  });
+});
+
+describe('Consumer', () => {
+  it('fetches the external $refs of the provider mapping with its fetch', async () => {
+    const fetch = documentFetch({
+      'https://provider.test/oas': SPECIFICATION,
+      'https://provider.test/schemas.json': SCHEMAS,
+      'https://provider.test/alerts': { title: 'Storm' }
+    });
+    const consumer = new Consumer({ url: 'https://provider.test', profileId: PROFILE_ID }, { fetch });
+
+    const result = await consumer.perform({ operation: 'RetrieveAlert', parameters: {}, response: ['title'] });
+    assert.deepStrictEqual(result, { title: 'Storm' });
+    assert.deepStrictEqual(fetch.requested, ['https://provider.test/oas', 'https://provider.test/schemas.json', 'https://provider.test/alerts']);
+  });
+});
@@ -0,0 +1,93 @@
+//
+//  Telemetry and redaction
+//  -----------------------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Consumer } = require('..');
+
+const PROFILE_ID = 'http://profile.test';
+
+// The credential is sent in a query parameter of a non-standard name, filled from the API key
+const SPECIFICATION = {
+  openapi: '3.0.0',
+  info: { title: 'Weather', version: '1.0.0' },
+  paths: {
+    '/weather': {
+      get: {
+        'x-profile': `${PROFILE_ID}#RetrieveWeather`,
+        parameters: [
+          { name: 'q', in: 'query', schema: { type: 'string' }, 'x-profile': `${PROFILE_ID}#RetrieveWeather/city` },
+          { name: 'appid', in: 'query', schema: { type: 'string' }, 'x-super': { source: 'security-apikey-key' } },
+          { name: 'units', in: 'query', schema: { type: 'string' }, 'x-super': { value: 'metric' } }
+        ],
+        responses: {
+          200: {
+            description: 'Weather',
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { temp: { type: 'number', 'x-profile': `${PROFILE_ID}#temp` } } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+function recordingTelemetry(spans) {
+  return {
+    startSpan(name, attributes) {
+      const span = { name, attributes: Object.assign({}, attributes) };
+      spans.push(span);
+      return {
+        setAttributes: (more) => Object.assign(span.attributes, more),
+        addEvent: () => {},
+        recordError: () => {},
+        end: () => {}
+      };
+    },
+    recordMetric: () => {}
+  };
+}
+
+describe('telemetry', () => {
+  it('redacts parameters filled with credentials whatever their name', async () => {
+    const spans = [];
+    const urls = [];
+    const fetch = async (url) => {
+      urls.push(url);
+      return {
+        ok: true,
+        status: 200,
+        headers: new Map([['content-type', 'application/json']]),
+        text: async () => JSON.stringify({ temp: 21 })
+      };
+    };
+    const consumer = new Consumer(
+      { url: 'http://provider.test', profileId: PROFILE_ID, mapping: SPECIFICATION, authentication: { apikey: { key: 's3cr3t' } } },
+      { fetch, telemetry: recordingTelemetry(spans) }
+    );
+
+    const result = await consumer.perform({ operation: 'RetrieveWeather', parameters: { city: 'Prague' }, response: ['temp'] });
+    assert.deepStrictEqual(result, { temp: 21 });
+    assert.deepStrictEqual(urls, ['http://provider.test/weather?q=Prague&appid=s3cr3t&units=metric']);
+
+    const http = spans.find(span => span.name === 'superdriver.http');
+    assert.strictEqual(http.attributes['http.url'], 'http://provider.test/weather?q=Prague&appid=[REDACTED]&units=metric');
+    assert.ok(!JSON.stringify(spans).includes('s3cr3t'));
+  });
+
+  it('redacts the credentials from the explained request', async () => {
+    const consumer = new Consumer(
+      { url: 'http://provider.test', profileId: PROFILE_ID, mapping: SPECIFICATION, authentication: { apikey: { key: 's3cr3t' } } },
+      { fetch: async () => { throw new Error('explain does not send the request'); } }
+    );
+
+    const explained = await consumer.explain({ operation: 'RetrieveWeather', parameters: { city: 'Prague' } });
+    assert.strictEqual(explained.url, 'http://provider.test/weather?q=Prague&appid=[REDACTED]&units=metric');
+  });
+});
@@ -0,0 +1,291 @@
+//
+//  Test kit
+//  --------
+//
+//  Run with `yarn test`, the tests use the built package.
+//
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  Consumer,
+  MockProvider,
+  MemoryCache,
+  MemoryRegister,
+  recordFetch,
+  replayFetch,
+  FixtureNotFoundError,
+  ServiceNotFoundError
+} = require('..');
+
+const PROFILE_ID = 'http://profile.test';
+
+const SPECIFICATION = {
+  openapi: '3.0.0',
+  info: { title: 'Alerts', version: '1.0.0' },
+  paths: {
+    '/alerts/{city}': {
+      get: {
+        'x-profile': `${PROFILE_ID}#RetrieveAlert`,
+        parameters: [
+          { name: 'city', in: 'path', required: true, schema: { type: 'string' }, 'x-profile': `${PROFILE_ID}#RetrieveAlert/city` }
+        ],
+        responses: {
+          200: {
+            description: 'Alert',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['title', 'severity'],
+                  properties: {
+                    title: { type: 'string', example: 'Storm', 'x-profile': `${PROFILE_ID}#title` },
+                    severity: { type: 'integer', minimum: 1, 'x-profile': `${PROFILE_ID}#severity` }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+function fakeFetch(responses) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push({ url, init });
+    const { status = 200, headers = {}, body = '' } = responses.shift();
+    return {
+      status,
+      ok: status >= 200 && status < 300,
+      headers: new Map(Object.entries(headers)),
+      text: async () => body
+    };
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+describe('MockProvider', () => {
+  it('serves the mapping at /oas', async () => {
+    const provider = new MockProvider(SPECIFICATION, { url: 'http://alerts.test' });
+    const response = await provider.fetch('http://alerts.test/oas');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(Object.keys((await response.json()).paths), ['/alerts/{city}']);
+    assert.deepStrictEqual(provider.service, { serviceUrl: 'http://alerts.test', mappingUrl: 'http://alerts.test/oas' });
+  });
+
+  it('answers the mapped operations with synthesized responses', async () => {
+    const provider = new MockProvider(SPECIFICATION);
+    const consumer = new Consumer({ url: provider.url, profileId: PROFILE_ID }, { fetch: provider.fetch });
+
+    const result = await consumer.perform({ operation: 'RetrieveAlert', parameters: { city: 'Paris' }, response: ['title', 'severity'] });
+    assert.strictEqual(result.title, 'Storm');
+    assert.ok(Number.isInteger(result.severity) && result.severity >= 1);
+    assert.strictEqual(provider.requests.length, 1);
+    assert.strictEqual(provider.requests[0].path, '/alerts/Paris');
+  });
+
+  it('matches path templates and passes the path parameters to the handler', async () => {
+    const provider = new MockProvider(SPECIFICATION, {
+      handlers: {
+        RetrieveAlert: (request) => ({ body: { title: `Storm in ${request.pathParameters.city}`, severity: 3 } })
+      }
+    });
+    const consumer = new Consumer({ url: provider.url, profileId: PROFILE_ID }, { fetch: provider.fetch });
+
+    const result = await consumer.perform({ operation: 'RetrieveAlert', parameters: { city: 'New York' }, response: ['title', 'severity'] });
+    assert.deepStrictEqual(result, { title: 'Storm in New York', severity: 3 });
+  });
+
+  it('falls back to the synthesized response when the handler returns nothing', async () => {
+    const provider = new MockProvider(SPECIFICATION, { handlers: { 'GET /alerts/{city}': () => undefined } });
+    const response = await provider.fetch(`${provider.url}/alerts/Paris`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).title, 'Storm');
+  });
+
+  it('responds with 404 to requests of operations not mapped', async () => {
+    const provider = new MockProvider(SPECIFICATION);
+    assert.strictEqual((await provider.fetch(`${provider.url}/alerts`)).status, 404);
+    assert.strictEqual((await provider.fetch(`${provider.url}/alerts/Paris`, { method: 'DELETE' })).status, 404);
+    assert.strictEqual((await provider.fetch('http://elsewhere.test/alerts/Paris')).status, 404);
+  });
+});
+
+describe('recordFetch', () => {
+  it('returns the response and stores the exchange', async () => {
+    const store = new MemoryCache();
+    const fetch = recordFetch(fakeFetch([{ status: 201, headers: { 'content-type': 'application/json' }, body: '{"id":1}' }]), { store });
+
+    const response = await fetch('https://provider.test/items', { method: 'post', body: '{"name":"a"}' });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.ok, true);
+    assert.deepStrictEqual(await response.json(), { id: 1 });
+    assert.strictEqual(response.headers.get('Content-Type'), 'application/json');
+
+    const exchanges = await store.get('POST https://provider.test/items\n{"name":"a"}');
+    assert.strictEqual(exchanges.length, 1);
+    assert.deepStrictEqual(exchanges[0].request, { method: 'POST', url: 'https://provider.test/items' });
+    assert.strictEqual(exchanges[0].response.body, '{"id":1}');
+  });
+
+  it('keeps repeated requests in order', async () => {
+    const store = new MemoryCache();
+    const fetch = recordFetch(fakeFetch([{ body: 'first' }, { body: 'second' }]), { store });
+
+    await fetch('https://provider.test/items');
+    await fetch('https://provider.test/items');
+    const exchanges = await store.get('GET https://provider.test/items');
+    assert.deepStrictEqual(exchanges.map(exchange => exchange.response.body), ['first', 'second']);
+  });
+
+  it('redacts sensitive query parameters', async () => {
+    const store = new MemoryCache();
+    const real = fakeFetch([{ body: 'ok' }]);
+    const fetch = recordFetch(real, { store });
+
+    await fetch('https://provider.test/items?api_key=secret&page=2');
+    assert.strictEqual(real.calls[0].url, 'https://provider.test/items?api_key=secret&page=2');
+    const keys = await store.keys();
+    assert.strictEqual(keys.length, 1);
+    assert.ok(!keys[0].includes('secret'));
+    assert.ok(keys[0].includes('page=2'));
+  });
+
+  it('redacts credentials from the form and JSON bodies of token requests', async () => {
+    const store = new MemoryCache();
+    const token = JSON.stringify({ access_token: 'at-123', refresh_token: 'rt-456', token_type: 'Bearer', expires_in: 3600 });
+    const fetch = recordFetch(fakeFetch([{ headers: { 'content-type': 'application/json' }, body: token }]), { store });
+
+    const response = await fetch('https://auth.test/token', {
+      method: 'POST',
+      body: 'grant_type=client_credentials&client_id=app&client_secret=cs-789'
+    });
+    // The caller gets the tokens as received
+    assert.strictEqual((await response.json()).access_token, 'at-123');
+
+    const stored = JSON.stringify({ keys: await store.keys(), exchanges: await store.get((await store.keys())[0]) });
+    for (const secret of ['at-123', 'rt-456', 'cs-789']) {
+      assert.ok(!stored.includes(secret), `${secret} is stored`);
+    }
+    assert.ok(stored.includes('client_id=app'));
+    assert.ok(stored.includes('expires_in'));
+  });
+
+  it('redacts the parameters and fields listed in the redact option', async () => {
+    const store = new MemoryCache();
+    const real = fakeFetch([{ body: '{"appid":"k-1","temp":21}' }]);
+    const fetch = recordFetch(real, { store, redact: ['appid'] });
+
+    await fetch('https://provider.test/weather?q=Prague&appid=k-1');
+    const [key] = await store.keys();
+    assert.strictEqual(key, 'GET https://provider.test/weather?q=Prague&appid=[REDACTED]');
+    assert.deepStrictEqual(JSON.parse((await store.get(key))[0].response.body), { appid: '[REDACTED]', temp: 21 });
+
+    const replay = replayFetch({ store, redact: ['appid'] });
+    assert.strictEqual((await replay('https://provider.test/weather?q=Prague&appid=k-2')).status, 200);
+  });
+});
+
+describe('replayFetch', () => {
+  it('serves the recorded exchanges', async () => {
+    const store = new MemoryCache();
+    const record = recordFetch(fakeFetch([{ status: 404, body: 'missing' }]), { store });
+    await record('https://provider.test/items/1?api_key=secret');
+
+    const fetch = replayFetch({ store });
+    const response = await fetch('https://provider.test/items/1?api_key=other');
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.ok, false);
+    assert.strictEqual(await response.text(), 'missing');
+  });
+
+  it('answers repeated requests in the recorded order and repeats the last one', async () => {
+    const store = new MemoryCache();
+    const record = recordFetch(fakeFetch([{ body: 'first' }, { body: 'second' }]), { store });
+    await record('https://provider.test/items');
+    await record('https://provider.test/items');
+
+    const fetch = replayFetch({ store });
+    const bodies = [];
+    for (let i = 0; i < 3; i++) {
+      bodies.push(await (await fetch('https://provider.test/items')).text());
+    }
+    assert.deepStrictEqual(bodies, ['first', 'second', 'second']);
+  });
+
+  it('matches requests by the method and body', async () => {
+    const store = new MemoryCache();
+    const record = recordFetch(fakeFetch([{ body: 'created' }]), { store });
+    await record('https://provider.test/items', { method: 'POST', body: 'a' });
+
+    const fetch = replayFetch({ store });
+    assert.strictEqual(await (await fetch('https://provider.test/items', { method: 'post', body: 'a' })).text(), 'created');
+    await assert.rejects(fetch('https://provider.test/items', { method: 'POST', body: 'b' }), FixtureNotFoundError);
+    await assert.rejects(fetch('https://provider.test/items'), error => error.code === 'FIXTURE_NOT_FOUND');
+  });
+});
+
+describe('MemoryRegister', () => {
+  const SERVICES = [
+    { serviceUrl: 'https://a.test', semanticProfile: 'http://p', metadata: { region: 'eu' }, tags: ['free'] },
+    { serviceUrl: 'https://b.test', semanticProfile: 'http://p', metadata: { region: 'us' } },
+    { serviceUrl: 'https://c.test', semanticProfile: 'http://q', metadata: { region: 'eu' } }
+  ];
+
+  it('finds the services of a profile', async () => {
+    const register = new MemoryRegister(SERVICES);
+    const services = await register.findServices('http://p');
+    assert.deepStrictEqual(services.map(service => service.serviceUrl), ['https://a.test', 'https://b.test']);
+    await assert.rejects(register.findServices('http://unknown'), ServiceNotFoundError);
+  });
+
+  it('filters the services by metadata and tags', async () => {
+    const register = new MemoryRegister(SERVICES);
+    const byRegion = await register.findServices('http://p', { metadata: { region: 'eu' } });
+    assert.deepStrictEqual(byRegion.map(service => service.serviceUrl), ['https://a.test']);
+    const byTag = await register.listServices({ tags: ['free'] });
+    assert.deepStrictEqual(byTag.services.map(service => service.serviceUrl), ['https://a.test']);
+  });
+
+  it('lists the services by pages', async () => {
+    const register = new MemoryRegister(SERVICES);
+    const first = await register.listServices({ limit: 2 });
+    assert.deepStrictEqual([first.services.length, first.total, first.next], [2, 3, 2]);
+    const second = await register.listServices({ limit: 2, page: 2 });
+    assert.deepStrictEqual(second.services.map(service => service.serviceUrl), ['https://c.test']);
+    assert.strictEqual(second.next, null);
+  });
+
+  it('drops services when their lease expires', async () => {
+    const register = new MemoryRegister();
+    const registered = await register.registerService({ serviceUrl: 'https://a.test', semanticProfile: 'http://p', ttl: 0.02 });
+    assert.strictEqual(registered.result, 'created');
+    assert.strictEqual((await register.findServices('http://p')).length, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    await assert.rejects(register.findServices('http://p'), ServiceNotFoundError);
+    await assert.rejects(register.updateService(registered.location, { ttl: 60 }), error => error.status === 404);
+  });
+
+  it('reports a service registered already as a conflict', async () => {
+    const register = new MemoryRegister(SERVICES);
+    const registration = await register.registerService({ serviceUrl: 'https://a.test', semanticProfile: 'http://p' });
+    assert.strictEqual(registration.result, 'conflict');
+    assert.strictEqual(registration.location, '/api/registry/1');
+  });
+
+  it('unregisters services by absolute and relative location', async () => {
+    const register = new MemoryRegister();
+    const first = await register.registerService({ serviceUrl: 'https://a.test', semanticProfile: 'http://p' });
+    const second = await register.registerService({ serviceUrl: 'https://b.test', semanticProfile: 'http://p' });
+
+    await register.unregisterService({ serviceUrl: `https://registry.test${first.location}` });
+    await register.unregisterService({ serviceUrl: second.location });
+    await assert.rejects(register.getService(first.location), error => error.status === 404);
+    await assert.rejects(register.getService(second.location), error => error.status === 404);
+    assert.strictEqual((await register.listServices()).total, 0);
+  });
+});